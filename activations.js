@@ -0,0 +1,153 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Generators and async functions run in segments: each time one is
+ * resumed, a new frame is entered, which exits with yield when it is
+ * suspended again. An activation groups the segments of one generator or
+ * async call, from the first to the one which returned or threw.
+ *
+ * Segments are matched by function and recorded arguments: a frame of the
+ * same function, with the same arguments, entered after a segment yielded
+ * resumes its activation. Activations which can't be told apart this way
+ * are resumed in the order they were suspended.
+ */
+
+/**
+ * @param {object} frame
+ *        The first segment.
+ */
+function Activation(frame) {
+  this.fid = frame.fid;
+  this.name = frame.name;
+  this.segments = [frame];
+}
+
+Activation.prototype = {
+  get startTime() { return this.segments[0].startTime; },
+
+  get endTime() { return this.segments[this.segments.length - 1].endTime; },
+
+  /**
+   * The time from the start of the first segment to the end of the last,
+   * suspended or not.
+   */
+  get wallTime() { return this.endTime - this.startTime; },
+
+  /**
+   * The time spent in the segments.
+   */
+  get runningTime() {
+    return this.segments.reduce(function(sum, frame) {
+      return sum + frame.totalTime;
+    }, 0);
+  },
+
+  /**
+   * Whether the last segment yielded, so that the activation was never
+   * finished.
+   */
+  get suspended() {
+    return frameExitKind(this.segments[this.segments.length - 1]) === "yield";
+  }
+};
+
+/**
+ * Groups the segments of the generator and async activations of a
+ * finished trace.
+ *
+ * @param {Trace} trace
+ * @return {object}
+ *         activations: those of more than one segment, or which ended
+ *         suspended, in the order they started; byUid: the activation of
+ *         each of their segments, by frame UID; and byFid: for each
+ *         function with activations, their count, wallTime and
+ *         runningTime.
+ */
+function stitchActivations(trace) {
+  var activations = [];
+  var pending = new Map(); // function and arguments -> suspended activations
+
+  for (var i = 0; i < trace.frames.length; ++i) {
+    var frame = trace.frames[i];
+    var key = frame.fid + ":" + JSON.stringify(frame.arguments);
+    var suspended = pending.get(key);
+
+    // Frames entered during a segment (such as recursive calls with the
+    // same arguments) can't resume its activation. Segments are listed as
+    // they were entered, so the activation suspended first is the one
+    // whose last segment ended first.
+    var activation = null;
+    if (suspended) {
+      var index = -1;
+      for (var j = 0; j < suspended.length; ++j) {
+        var end = suspended[j].endTime;
+        if (end <= frame.startTime && (index === -1 || end < suspended[index].endTime)) {
+          index = j;
+        }
+      }
+      if (index !== -1) {
+        activation = suspended[index];
+        suspended.splice(index, 1);
+      }
+    }
+
+    var yielded = frameExitKind(frame) === "yield";
+    if (activation) {
+      activation.segments.push(frame);
+    } else if (yielded) {
+      activation = new Activation(frame);
+      activations.push(activation);
+    }
+
+    if (activation && yielded) {
+      if (!suspended) {
+        suspended = [];
+        pending.set(key, suspended);
+      }
+      suspended.push(activation);
+    }
+  }
+
+  var byUid = Object.create(null);
+  var byFid = [];
+  activations.forEach(function(activation) {
+    activation.segments.forEach(function(frame) {
+      byUid[frame.uid] = activation;
+    });
+    var stats = byFid[activation.fid];
+    if (!stats) {
+      stats = byFid[activation.fid] = { count: 0, wallTime: 0, runningTime: 0 };
+    }
+    stats.count++;
+    stats.wallTime += activation.wallTime;
+    stats.runningTime += activation.runningTime;
+  });
+
+  return { activations: activations, byUid: byUid, byFid: byFid };
+}
+
+var activationsCache = new WeakMap();
+
+/**
+ * Returns the activations of a trace, stitching them the first time. Live
+ * traces are stitched once they finish.
+ *
+ * @param {Trace} trace
+ * @return {object}
+ *         See stitchActivations, or null if the trace is not finished.
+ */
+function getActivations(trace) {
+  if (!trace.finished) {
+    return null;
+  }
+  var result = activationsCache.get(trace);
+  if (!result) {
+    result = stitchActivations(trace);
+    activationsCache.set(trace, result);
+  }
+  return result;
+}
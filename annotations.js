@@ -0,0 +1,165 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Panel listing the markers and comments of a trace, which adds them and
+ * leads the graph to them. Markers name a time of the timeline, such as
+ * when the user clicked; comments are notes on single frames.
+ *
+ * @param {Element} element
+ *        The element to render the panel into.
+ * @param {TraceGraph} graph
+ */
+function AnnotationsPanel(element, graph) {
+  this.element = element;
+  this.document = element.ownerDocument;
+  this._graph = graph;
+  this._trace = null;
+
+  this.render = this.render.bind(this);
+  this._updateButtons = this._updateButtons.bind(this);
+  this._graph.on("selected", this._updateButtons);
+  this._graph.on("modechanged", this._updateButtons);
+
+  this._buildDOM();
+}
+
+AnnotationsPanel.prototype = {
+  setTrace: function(trace) {
+    if (this._trace) {
+      this._trace.off("annotationschanged", this.render);
+    }
+    this._trace = trace;
+    trace.on("annotationschanged", this.render);
+    this.render();
+  },
+
+  /**
+   * Adds a marker named by the text field, see TraceGraph.addMarker.
+   */
+  addMarker: function() {
+    var name = this._input.value.trim();
+    if (this._graph.addMarker(name || "Marker " + (this._trace.markers.length + 1))) {
+      this._input.value = "";
+    }
+  },
+
+  /**
+   * Attaches the text field's comment to the selected frame.
+   */
+  commentOnSelection: function() {
+    var frame = this._graph.traceFrame(this._graph.selected);
+    var comment = this._input.value.trim();
+    if (frame && comment) {
+      this._trace.setComment(frame.uid, comment);
+      this._input.value = "";
+    }
+  },
+
+  render: function() {
+    var list = this._list;
+    while (list.hasChildNodes()) {
+      list.removeChild(list.firstChild);
+    }
+    this._updateButtons();
+
+    var trace = this._trace;
+    if (!trace) {
+      return;
+    }
+    var graph = this._graph;
+
+    trace.markers.forEach(function(marker) {
+      var precision = trace.totalTime / 1000 || 1e-6;
+      list.appendChild(this._createItem(
+        "annotation-marker", formatTimeWithUnit(marker.time, precision), marker.name,
+        function() { graph.revealMarker(marker); },
+        function() { trace.removeMarker(marker); }));
+    }, this);
+
+    Object.keys(trace.comments).forEach(function(uid) {
+      var frame = trace.frames[uid];
+      list.appendChild(this._createItem(
+        "annotation-comment", frame.name || "(anonymous)", trace.comments[uid],
+        function() { graph.showTraceFrame(frame); },
+        function() { trace.setComment(frame.uid, ""); }));
+    }, this);
+
+    this._empty.hidden = list.hasChildNodes();
+  },
+
+  _createItem: function(className, label, text, onClick, onRemove) {
+    var doc = this.document;
+    var item = doc.createElementNS(XHTML_NS, "li");
+    item.className = className;
+    item.addEventListener("click", onClick);
+
+    var labelElement = doc.createElementNS(XHTML_NS, "span");
+    labelElement.className = "annotation-label";
+    labelElement.textContent = label;
+    item.appendChild(labelElement);
+    item.appendChild(doc.createTextNode(text));
+
+    var remove = doc.createElementNS(XHTML_NS, "button");
+    remove.className = "annotation-remove";
+    remove.textContent = "×";
+    remove.title = "Remove";
+    remove.addEventListener("click", function(ev) {
+      ev.stopPropagation();
+      onRemove();
+    });
+    item.appendChild(remove);
+
+    return item;
+  },
+
+  _updateButtons: function() {
+    var graph = this._graph;
+    this._markerButton.disabled = graph.mode !== "timeline";
+    this._commentButton.disabled = !graph.traceFrame(graph.selected);
+  },
+
+  _buildDOM: function() {
+    var doc = this.document;
+    var self = this;
+
+    var toolbar = doc.createElementNS(XHTML_NS, "div");
+    toolbar.className = "annotations-toolbar";
+
+    this._input = doc.createElementNS(XHTML_NS, "input");
+    this._input.type = "text";
+    this._input.placeholder = "Marker name or comment";
+    this._input.addEventListener("keydown", function(ev) {
+      if (ev.key === "Enter") {
+        self.addMarker();
+      }
+    });
+    toolbar.appendChild(this._input);
+
+    this._markerButton = doc.createElementNS(XHTML_NS, "button");
+    this._markerButton.textContent = "Add marker";
+    this._markerButton.title = "Mark the start of the selected range or frame, or the middle of the view";
+    this._markerButton.addEventListener("click", function() { self.addMarker(); });
+    toolbar.appendChild(this._markerButton);
+
+    this._commentButton = doc.createElementNS(XHTML_NS, "button");
+    this._commentButton.textContent = "Comment on selected frame";
+    this._commentButton.addEventListener("click", function() { self.commentOnSelection(); });
+    toolbar.appendChild(this._commentButton);
+
+    this._list = doc.createElementNS(XHTML_NS, "ul");
+    this._list.className = "annotation-list";
+
+    this._empty = doc.createElementNS(XHTML_NS, "div");
+    this._empty.className = "annotation-empty";
+    this._empty.textContent = "No markers or comments.";
+
+    this.element.appendChild(toolbar);
+    this.element.appendChild(this._list);
+    this.element.appendChild(this._empty);
+    this.render();
+  }
+};
@@ -0,0 +1,139 @@
+window.onload = function() {
+  var graph = new TraceGraph(document.getElementById("visualization"));
+  var countInput = document.getElementById("frame-count");
+  var status = document.getElementById("benchmark-status");
+
+  document.getElementById("run").addEventListener("click", function() {
+    status.textContent = "Running…";
+    // Let the status show before the page blocks.
+    setTimeout(function() {
+      runBenchmark(graph, +countInput.value);
+      status.textContent = "";
+    }, 0);
+  });
+}
+
+var BENCHMARK_FUNCTIONS = 200;
+var BENCHMARK_MAX_DEPTH = 30;
+
+/**
+ * Returns a pseudo-random number generator, so that runs are comparable.
+ */
+function seededRandom(seed) {
+  return function() {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+/**
+ * Builds a trace of random calls with the given number of frames, fed to
+ * the Trace as packets like a real recording.
+ *
+ * @param {integer} frameCount
+ * @return {Trace}
+ */
+function generateTrace(frameCount) {
+  var random = seededRandom(42);
+  var trace = new Trace(null, frameCount + " generated frames");
+  var functions = [];
+  for (var i = 0; i < BENCHMARK_FUNCTIONS; ++i) {
+    functions.push({
+      name: "function" + i,
+      location: { url: "http://example.com/generated.js", line: i + 1, column: 0 }
+    });
+  }
+
+  var time = 0;
+  var depth = 0;
+  for (var entered = 0; entered < frameCount; ) {
+    // Go deeper more often near the top of the stack, and return more
+    // often near the bottom.
+    if (depth < BENCHMARK_MAX_DEPTH && (depth === 0 || random() < 0.55 - depth / 100)) {
+      var fn = functions[Math.floor(random() * random() * BENCHMARK_FUNCTIONS)];
+      time += random() * 0.02;
+      trace.onEnteredFrame(null, {
+        name: fn.name,
+        location: fn.location,
+        time: time,
+        arguments: []
+      });
+      depth++;
+      entered++;
+    } else {
+      time += random() * 0.02;
+      trace.onExitedFrame(null, { time: time });
+      depth--;
+    }
+  }
+  while (depth-- > 0) {
+    time += random() * 0.02;
+    trace.onExitedFrame(null, { time: time });
+  }
+
+  trace.finished = true;
+  return trace;
+}
+
+/**
+ * Returns how long a function takes to run, in milliseconds.
+ */
+function timed(fn) {
+  var start = performance.now();
+  fn();
+  return performance.now() - start;
+}
+
+function runBenchmark(graph, frameCount) {
+  var results = [];
+  var trace;
+
+  results.push(["Generate " + frameCount + " frames", timed(function() {
+    trace = generateTrace(frameCount);
+  })]);
+  results.push(["Build summary", timed(function() {
+    getTraceSummary(trace);
+  })]);
+
+  graph.setTrace(trace);
+  var bounds = graph._bounds;
+  var mainView = graph._mainView;
+  var overview = graph._overview;
+
+  results.push(["Render overview", timed(function() {
+    overview._bufferStale = true;
+    overview._render();
+  })]);
+
+  var totalTime = trace.totalTime;
+  [1, 0.01, 0.0001].forEach(function(fraction) {
+    var width = Math.max(fraction, bounds._minimumIntervalWidth);
+    bounds.setBounds(0.5 - width / 2, 0.5 + width / 2);
+    results.push(["Render " + formatTime(bounds.intervalTime) + " of " + formatTime(totalTime),
+                  timed(function() { mainView._render(); })]);
+  });
+
+  results.push(["Pan 100 times", timed(function() {
+    for (var i = 0; i < 100; ++i) {
+      bounds.panByPercent(bounds.intervalWidth / 100);
+      mainView._render();
+    }
+  })]);
+  bounds.setBounds(0, 1);
+
+  var tbody = document.querySelector("#benchmark-results tbody");
+  while (tbody.hasChildNodes()) {
+    tbody.removeChild(tbody.firstChild);
+  }
+  results.forEach(function(result) {
+    var row = document.createElement("tr");
+    var step = document.createElement("td");
+    step.textContent = result[0];
+    var time = document.createElement("td");
+    time.className = "numeric";
+    time.textContent = formatTime(result[1]);
+    row.appendChild(step);
+    row.appendChild(time);
+    tbody.appendChild(row);
+  });
+}
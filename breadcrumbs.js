@@ -0,0 +1,138 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Bar showing the frame a TraceGraph is focused on and its ancestors,
+ * any of which can be clicked to focus on it instead, with back and
+ * forward buttons for the focus history and a button to focus on the
+ * selected frame.
+ *
+ * @param {Element} element
+ *        The element to render the bar into.
+ * @param {TraceGraph} graph
+ */
+function Breadcrumbs(element, graph) {
+  this.element = element;
+  this.document = element.ownerDocument;
+  this._graph = graph;
+  // Whether every ancestor of the focus has a crumb.
+  this._expanded = false;
+
+  this._onFocusChanged = this._onFocusChanged.bind(this);
+  this._onSelected = this._onSelected.bind(this);
+  this._graph.on("focuschanged", this._onFocusChanged);
+  this._graph.on("selected", this._onSelected);
+
+  this._buildDOM();
+}
+
+// Only the nearest ancestors of the focus get a crumb; the others are
+// elided behind a crumb which shows them.
+var MAX_BREADCRUMBS = 15;
+
+Breadcrumbs.prototype = {
+  render: function() {
+    var doc = this.document;
+    var graph = this._graph;
+    var crumbs = this._crumbs;
+
+    this._backButton.disabled = !graph.canGoBack;
+    this._forwardButton.disabled = !graph.canGoForward;
+    this._focusButton.disabled = !graph.selected;
+
+    while (crumbs.hasChildNodes()) {
+      crumbs.removeChild(crumbs.firstChild);
+    }
+
+    var chain = [];
+    var elided = 0;
+    for (var frame = graph.focused; frame && frame.older; frame = frame.older) {
+      if (this._expanded || chain.length < MAX_BREADCRUMBS) {
+        chain.push(frame);
+      } else {
+        elided++;
+      }
+    }
+    chain.reverse();
+
+    crumbs.appendChild(this._createCrumb("All", null, !chain.length));
+    if (elided) {
+      var ellipsis = doc.createElementNS(XHTML_NS, "a");
+      ellipsis.className = "breadcrumb-elided";
+      ellipsis.textContent = "…";
+      ellipsis.title = "Show " + elided + " more callers";
+      ellipsis.href = "#";
+      ellipsis.addEventListener("click", function(ev) {
+        ev.preventDefault();
+        this._expanded = true;
+        this.render();
+      }.bind(this));
+      crumbs.appendChild(ellipsis);
+    }
+    for (var i = 0; i < chain.length; ++i) {
+      crumbs.appendChild(this._createCrumb(chain[i].name, chain[i], i === chain.length - 1));
+    }
+  },
+
+  _createCrumb: function(label, frame, current) {
+    var doc = this.document;
+    var crumb = doc.createElementNS(XHTML_NS, current ? "span" : "a");
+    crumb.className = current ? "breadcrumb current" : "breadcrumb";
+    crumb.textContent = label;
+    if (frame && frame.location) {
+      crumb.title = formatLocation(frame.location);
+    }
+    if (!current) {
+      crumb.href = "#";
+      crumb.addEventListener("click", function(ev) {
+        ev.preventDefault();
+        this._graph.focus(frame);
+      }.bind(this));
+    }
+    return crumb;
+  },
+
+  _buildDOM: function() {
+    var doc = this.document;
+    var graph = this._graph;
+
+    var back = doc.createElementNS(XHTML_NS, "button");
+    back.textContent = "◀";
+    back.title = "Back";
+    back.addEventListener("click", function() { graph.back(); });
+    this._backButton = back;
+    this.element.appendChild(back);
+
+    var forward = doc.createElementNS(XHTML_NS, "button");
+    forward.textContent = "▶";
+    forward.title = "Forward";
+    forward.addEventListener("click", function() { graph.forward(); });
+    this._forwardButton = forward;
+    this.element.appendChild(forward);
+
+    var focus = doc.createElementNS(XHTML_NS, "button");
+    focus.textContent = "Focus";
+    focus.title = "Show only the selected frame and its callees";
+    focus.addEventListener("click", function() { graph.focus(graph.selected); });
+    this._focusButton = focus;
+    this.element.appendChild(focus);
+
+    this._crumbs = doc.createElementNS(XHTML_NS, "span");
+    this._crumbs.className = "breadcrumbs";
+    this.element.appendChild(this._crumbs);
+
+    this.render();
+  },
+
+  _onFocusChanged: function() {
+    this._expanded = false;
+    this.render();
+  },
+
+  _onSelected: function(ev, frame) {
+    this._focusButton.disabled = !frame;
+  }
+};
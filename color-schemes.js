@@ -0,0 +1,260 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Schemes for coloring the frames of a TraceGraph. A scheme is an object
+ * with:
+ *
+ * - name: an identifier, and label: a name to show.
+ * - setTrace(trace): called with each trace or tree the graph displays,
+ *   before its frames are drawn.
+ * - colorOf(frame): returns the fill color of a displayed frame.
+ * - legend(): returns the entries of a legend for the displayed trace,
+ *   as [{ color, label }].
+ *
+ * COLOR_SCHEMES maps the names of the built-in schemes to their
+ * constructors. Each graph makes its own instance, so colors are not
+ * shared between graphs.
+ */
+
+// The most entries listed by legends of schemes with a color per key.
+var LEGEND_ENTRIES = 8;
+
+/**
+ * Returns a color derived from a hash of a string, so that the same
+ * string gets the same color in every trace and render order. Colors are
+ * kept dark enough for white text.
+ *
+ * @param {string} key
+ * @return {string}
+ */
+function hashColor(key) {
+  // 32-bit FNV-1a.
+  var hash = 0x811c9dc5;
+  for (var i = 0; i < key.length; ++i) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash >>>= 0;
+  var hue = hash % 360;
+  var saturation = 30 + (hash >>> 9) % 11;
+  var lightness = 20 + (hash >>> 13) % 21;
+  return "hsl(" + hue + ", " + saturation + "%, " + lightness + "%)";
+}
+
+/**
+ * Returns the keys of a trace's frames with the most self time, with
+ * the first frame found for each.
+ *
+ * @param {object} trace
+ * @param {function} keyOf
+ *        Returns the key of a frame.
+ * @return {array}
+ *         [{ key, frame, selfTime }], heaviest first.
+ */
+function heaviestKeys(trace, keyOf) {
+  var byKey = new Map();
+  for (var i = 0; i < trace.frames.length; ++i) {
+    var frame = trace.frames[i];
+    var key = keyOf(frame);
+    var entry = byKey.get(key);
+    if (!entry) {
+      entry = { key: key, frame: frame, selfTime: 0 };
+      byKey.set(key, entry);
+    }
+    entry.selfTime += frame.selfTime || 0;
+  }
+  var entries = Array.from(byKey.values());
+  entries.sort(function(a, b) { return b.selfTime - a.selfTime; });
+  return entries.slice(0, LEGEND_ENTRIES);
+}
+
+/**
+ * Colors each function by a hash of its name and location.
+ */
+function FunctionColorScheme() {
+  this._colors = new WeakMap();
+}
+
+FunctionColorScheme.prototype = {
+  name: "function",
+  label: "Function",
+
+  setTrace: function(trace) {
+    this._trace = trace;
+  },
+
+  colorOf: function(frame) {
+    var color = this._colors.get(frame.aggregated);
+    if (!color) {
+      color = hashColor(locationToString(frame.location, frame.name));
+      this._colors.set(frame.aggregated, color);
+    }
+    return color;
+  },
+
+  legend: function() {
+    var self = this;
+    return heaviestKeys(this._trace, function(frame) {
+      return frame.aggregated;
+    }).map(function(entry) {
+      return { color: self.colorOf(entry.frame), label: entry.frame.name };
+    });
+  }
+};
+
+/**
+ * Colors functions by the package they belong to, for scripts under a
+ * node_modules directory, or otherwise by their script's URL.
+ */
+function URLColorScheme() {
+  this._packages = new WeakMap();
+}
+
+URLColorScheme.prototype = {
+  name: "url",
+  label: "Script or package",
+
+  setTrace: function(trace) {
+    this._trace = trace;
+  },
+
+  colorOf: function(frame) {
+    return hashColor(this._packageOf(frame));
+  },
+
+  legend: function() {
+    return heaviestKeys(this._trace, this._packageOf.bind(this)).map(function(entry) {
+      return { color: hashColor(entry.key), label: entry.key || "(unknown)" };
+    });
+  },
+
+  _packageOf: function(frame) {
+    var name = this._packages.get(frame.aggregated);
+    if (typeof name !== "string") {
+      var url = frame.location && frame.location.url || "";
+      var index = url.lastIndexOf("/node_modules/");
+      name = url;
+      if (index !== -1) {
+        var parts = url.slice(index + "/node_modules/".length).split("/");
+        name = parts[0][0] === "@" ? parts[0] + "/" + parts[1] : parts[0];
+      }
+      this._packages.set(frame.aggregated, name);
+    }
+    return name;
+  }
+};
+
+/**
+ * Colors frames from blue to red by their self time, relative to the
+ * frame with the most self time.
+ */
+function HeatColorScheme() {}
+
+HeatColorScheme.prototype = {
+  name: "heat",
+  label: "Self time",
+
+  setTrace: function(trace) {
+    var maxSelfTime = 0;
+    for (var i = 0; i < trace.frames.length; ++i) {
+      maxSelfTime = Math.max(maxSelfTime, trace.frames[i].selfTime || 0);
+    }
+    this._maxSelfTime = maxSelfTime;
+  },
+
+  colorOf: function(frame) {
+    return this._color(frame.selfTime || 0);
+  },
+
+  legend: function() {
+    var maxSelfTime = this._maxSelfTime;
+    return [1, 0.5, 0.25, 0.05, 0].map(function(fraction) {
+      var selfTime = maxSelfTime * fraction;
+      return { color: this._color(selfTime), label: formatTime(selfTime) };
+    }, this);
+  },
+
+  _color: function(selfTime) {
+    // The square root spreads out the many frames with little self time.
+    var heat = this._maxSelfTime ? Math.sqrt(Math.min(1, selfTime / this._maxSelfTime)) : 0;
+    return "hsl(" + Math.round(220 * (1 - heat)) + ", 60%, 40%)";
+  }
+};
+
+/**
+ * Colors frames by their depth, from blue at the bottom to red at the
+ * deepest.
+ */
+function DepthColorScheme() {}
+
+DepthColorScheme.prototype = {
+  name: "depth",
+  label: "Depth",
+
+  setTrace: function(trace) {
+    this._trace = trace;
+  },
+
+  colorOf: function(frame) {
+    return this._color(frame.depth);
+  },
+
+  legend: function() {
+    var maxDepth = this._trace.maxDepth;
+    var depths = maxDepth ? [maxDepth, maxDepth >> 1, 0] : [0];
+    return depths.map(function(depth) {
+      return { color: this._color(depth), label: "Depth " + depth };
+    }, this);
+  },
+
+  _color: function(depth) {
+    var maxDepth = this._trace.maxDepth || 1;
+    return "hsl(" + Math.round(240 * (1 - depth / maxDepth)) + ", 50%, 40%)";
+  }
+};
+
+/**
+ * Colors frames by how they exited: returning, throwing or yielding.
+ * Merged call trees mix exits, so all of their frames are gray.
+ */
+function ExitColorScheme() {}
+
+var EXIT_COLORS = {
+  "return":  { color: "hsl(210, 40%, 35%)", label: "Returned" },
+  "throw":   { color: "hsl(0, 70%, 40%)",   label: "Threw" },
+  "yield":   { color: "hsl(40, 70%, 35%)",  label: "Yielded" },
+  "running": { color: "hsl(0, 0%, 55%)",    label: "Running" },
+  "merged":  { color: "hsl(0, 0%, 40%)",    label: "Merged calls" }
+};
+
+ExitColorScheme.prototype = {
+  name: "exit",
+  label: "Exit",
+
+  setTrace: function(trace) {
+    this._merged = !!(trace.merged || trace.source && trace.source.merged);
+  },
+
+  colorOf: function(frame) {
+    return EXIT_COLORS[this._merged ? "merged" : frameExitKind(frame)].color;
+  },
+
+  legend: function() {
+    var kinds = this._merged ? ["merged"] : ["return", "throw", "yield", "running"];
+    return kinds.map(function(kind) {
+      return EXIT_COLORS[kind];
+    });
+  }
+};
+
+var COLOR_SCHEMES = {
+  "function": FunctionColorScheme,
+  "url": URLColorScheme,
+  "heat": HeatColorScheme,
+  "depth": DepthColorScheme,
+  "exit": ExitColorScheme
+};
@@ -0,0 +1,203 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Sortable table of the function entries produced by diffTraces.
+ * Clicking a function called in the displayed trace highlights its
+ * frames in the graph.
+ *
+ * @param {Element} element
+ *        The element to render the table into.
+ * @param {TraceGraph} graph
+ *        The graph displaying the "after" trace.
+ */
+function DiffTable(element, graph) {
+  this.element = element;
+  this.document = element.ownerDocument;
+  this._graph = graph;
+
+  this._entries = [];
+  this._sortKey = "selfTimeDelta";
+  this._descending = true;
+  this._selected = null;
+
+  this._buildDOM();
+}
+
+DiffTable.prototype = {
+  columns: [
+    { key: "name",           label: "Function" },
+    { key: "beforeCount",    label: "Calls before", numeric: true },
+    { key: "afterCount",     label: "Calls after",  numeric: true },
+    { key: "countDelta",     label: "Δ calls",      numeric: true, delta: true },
+    { key: "beforeSelfTime", label: "Self before",  numeric: true, time: true },
+    { key: "afterSelfTime",  label: "Self after",   numeric: true, time: true },
+    { key: "selfTimeDelta",  label: "Δ self",       numeric: true, time: true, delta: true },
+    { key: "totalTimeDelta", label: "Δ total",      numeric: true, time: true, delta: true },
+    { key: "location",       label: "Location" }
+  ],
+
+  /**
+   * @param {array} entries
+   *        Entries from one of the lists returned by diffTraces.
+   */
+  setEntries: function(entries) {
+    this._entries = entries;
+    this._selected = null;
+    this.render();
+  },
+
+  /**
+   * Sorts the table by a column. Sorting by the current column again
+   * reverses the order.
+   *
+   * @param {string} key
+   *        One of the keys in this.columns.
+   */
+  sortBy: function(key) {
+    if (key === this._sortKey) {
+      this._descending = !this._descending;
+    } else {
+      this._sortKey = key;
+      this._descending = this.columns.some(function(column) {
+        return column.key === key && column.numeric;
+      });
+    }
+    this.render();
+  },
+
+  render: function() {
+    var tbody = this._tbody;
+    while (tbody.hasChildNodes()) {
+      tbody.removeChild(tbody.firstChild);
+    }
+    this._updateHeaders();
+
+    var key = this._sortKey;
+    var sign = this._descending ? -1 : 1;
+    var self = this;
+    var entries = this._entries.slice().sort(function(a, b) {
+      var x = self._value(a, key);
+      var y = self._value(b, key);
+      if (x < y) return -sign;
+      if (x > y) return sign;
+      return 0;
+    });
+
+    for (var i = 0; i < entries.length; ++i) {
+      tbody.appendChild(this._createRow(entries[i]));
+    }
+    this._empty.hidden = entries.length > 0;
+  },
+
+  /**
+   * Returns the value of a column for an entry.
+   */
+  _value: function(entry, key) {
+    switch (key) {
+      case "name":
+        return entry.name || "";
+      case "location":
+        return entry.location ? formatLocation(entry.location) : "";
+      case "beforeCount":
+        return entry.before ? entry.before.count : 0;
+      case "afterCount":
+        return entry.after ? entry.after.count : 0;
+      case "beforeSelfTime":
+        return entry.before && entry.before.selfTime || 0;
+      case "afterSelfTime":
+        return entry.after && entry.after.selfTime || 0;
+      default:
+        return entry[key] || 0;
+    }
+  },
+
+  _createRow: function(entry) {
+    var doc = this.document;
+    var row = doc.createElementNS(XHTML_NS, "tr");
+
+    for (var i = 0; i < this.columns.length; ++i) {
+      var column = this.columns[i];
+      var value = this._value(entry, column.key);
+      var cell = doc.createElementNS(XHTML_NS, "td");
+      var text = column.time ? formatTime(value) : String(value);
+      if (column.delta && value > 0) {
+        text = "+" + text;
+      }
+      cell.textContent = text;
+      if (column.numeric) {
+        cell.className = "numeric";
+      }
+      if (column.delta && value) {
+        cell.className += value > 0 ? " diff-grew" : " diff-shrank";
+      }
+      row.appendChild(cell);
+    }
+
+    if (entry.after) {
+      row.addEventListener("click", function() {
+        this._select(entry === this._selected ? null : entry, row);
+      }.bind(this));
+    }
+
+    return row;
+  },
+
+  _select: function(entry, row) {
+    var rows = this._tbody.childNodes;
+    for (var i = 0; i < rows.length; ++i) {
+      rows[i].className = rows[i] === row && entry ? "selected" : "";
+    }
+    this._selected = entry;
+    this._graph.highlightFunction(entry ? entry.afterFid : undefined);
+  },
+
+  _buildDOM: function() {
+    var doc = this.document;
+    var self = this;
+
+    var container = doc.createElementNS(XHTML_NS, "div");
+    container.className = "function-table-container";
+
+    var table = doc.createElementNS(XHTML_NS, "table");
+    table.className = "function-table";
+    var thead = doc.createElementNS(XHTML_NS, "thead");
+    var headerRow = doc.createElementNS(XHTML_NS, "tr");
+    this._headers = [];
+    this.columns.forEach(function(column) {
+      var th = doc.createElementNS(XHTML_NS, "th");
+      th.addEventListener("click", function() { self.sortBy(column.key); });
+      headerRow.appendChild(th);
+      self._headers.push(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    this._tbody = doc.createElementNS(XHTML_NS, "tbody");
+    table.appendChild(this._tbody);
+    container.appendChild(table);
+
+    this._empty = doc.createElementNS(XHTML_NS, "div");
+    this._empty.className = "diff-empty";
+    this._empty.textContent = "None";
+    container.appendChild(this._empty);
+
+    this.element.appendChild(container);
+    this._updateHeaders();
+  },
+
+  _updateHeaders: function() {
+    for (var i = 0; i < this.columns.length; ++i) {
+      var column = this.columns[i];
+      var label = column.label;
+      if (column.key === this._sortKey) {
+        label += this._descending ? " ▾" : " ▴";
+      }
+      this._headers[i].textContent = label;
+      this._headers[i].className = column.numeric ? "numeric" : "";
+    }
+  }
+};
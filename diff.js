@@ -0,0 +1,50 @@
+window.onload = function() {
+  var graph = new TraceGraph(document.getElementById("visualization"));
+  var tables = {
+    functions: new DiffTable(document.getElementById("diff-functions"), graph),
+    onlyBefore: new DiffTable(document.getElementById("diff-only-before"), graph),
+    onlyAfter: new DiffTable(document.getElementById("diff-only-after"), graph)
+  };
+  var traces = { before: null, after: null };
+  var errorLabel = document.getElementById("diff-error");
+
+  var modeSelect = document.getElementById("view-mode");
+  graph.setMode(modeSelect.value);
+  modeSelect.addEventListener("change", function() {
+    graph.setMode(modeSelect.value);
+  });
+
+  function update() {
+    if (!traces.before || !traces.after) {
+      return;
+    }
+    var diff = diffTraces(traces.before, traces.after);
+    graph.setColorScheme(new DiffColorScheme(diff));
+    graph.setTrace(traces.after);
+    for (var key in tables) {
+      tables[key].setEntries(diff[key]);
+    }
+  }
+
+  ["before", "after"].forEach(function(which) {
+    var input = document.getElementById(which + "-file");
+    input.addEventListener("change", function() {
+      var file = input.files[0];
+      if (!file) {
+        return;
+      }
+      var task = parseTraceInWorker(file, { name: file.name });
+      task.on("loaded", function(ev, loaded) {
+        // Only the busiest thread of Chrome traces is compared.
+        errorLabel.textContent = loaded.length > 1
+          ? "Comparing " + loaded[0].name + ", the busiest of " + loaded.length + " threads"
+          : "";
+        traces[which] = loaded[0];
+        update();
+      });
+      task.on("error", function(ev, error) {
+        errorLabel.textContent = file.name + ": " + error.message;
+      });
+    });
+  });
+}
@@ -85,7 +85,7 @@ EventEmitter.prototype = {
 
     var originalListeners = this._eventEmitterListeners.get(aEvent);
     for (var key in originalListeners) {
-      var listener = this._eventEmitterListeners.get(aEvent)[key];
+      var listener = originalListeners[key];
       // If the object was destroyed during event emission, stop
       // emitting.
       if (!this._eventEmitterListeners) {
@@ -0,0 +1,212 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Exceptions unwinding the stack. A frame which exits by throwing the
+ * value its last callee threw is taken to be unwinding the same exception,
+ * so each exception is a chain of frames from the one which threw it first
+ * (the origin) up to the last one it unwound. The caller of that frame
+ * caught the exception, unless the chain reaches the bottom of the stack.
+ *
+ * Recorded values are previews, so two exceptions with equal previews
+ * can't be told apart.
+ */
+
+/**
+ * Returns whether two recorded thrown values are the same.
+ */
+function sameThrownValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Returns whether a frame exited by throwing the value its last callee
+ * threw.
+ */
+function rethrewCallee(frame) {
+  var last = frame.children[frame.children.length - 1];
+  return !!last && frameExitKind(last) === "throw" &&
+         sameThrownValue(last.throw, frame.throw);
+}
+
+/**
+ * Returns the chain of frames unwinding the exception a frame threw.
+ *
+ * @param {object} frame
+ *        A frame of a trace, or of a tree with the same shape.
+ * @return {object}
+ *         The thrown value, the frames from the origin up, and the
+ *         catcher, the frame which caught the exception or null; or null
+ *         if the frame did not throw.
+ */
+function exceptionChain(frame) {
+  if (!frame || frameExitKind(frame) !== "throw") {
+    return null;
+  }
+  while (rethrewCallee(frame)) {
+    frame = frame.children[frame.children.length - 1];
+  }
+
+  var frames = [frame];
+  var caller = frame.older;
+  while (isFrame(caller) && frameExitKind(caller) === "throw" && rethrewCallee(caller)) {
+    frames.push(caller);
+    caller = caller.older;
+  }
+  return {
+    value: frame.throw,
+    frames: frames,
+    catcher: isFrame(caller) ? caller : null
+  };
+}
+
+/**
+ * Returns whether the caller of a frame is a frame, rather than the root
+ * of the trace.
+ */
+function isFrame(caller) {
+  return !!caller && typeof caller.depth === "number";
+}
+
+/**
+ * Returns every exception thrown in a trace, as chains returned by
+ * exceptionChain, in the order they were thrown.
+ *
+ * @param {object} trace
+ * @return {array}
+ */
+function findExceptions(trace) {
+  var exceptions = [];
+  for (var i = 0; i < trace.frames.length; ++i) {
+    var frame = trace.frames[i];
+    if (frameExitKind(frame) === "throw" && !rethrewCallee(frame)) {
+      exceptions.push(exceptionChain(frame));
+    }
+  }
+  exceptions.sort(function(a, b) {
+    return a.frames[0].endTime - b.frames[0].endTime;
+  });
+  return exceptions;
+}
+
+/**
+ * Panel listing the exceptions thrown in a trace, with the frames which
+ * threw and caught each one. Clicking either shows it in the graph, which
+ * then draws the exception's chain. Hidden when no exception was thrown.
+ *
+ * @param {Element} element
+ *        The element to render the panel into.
+ * @param {TraceGraph} graph
+ */
+function ExceptionsPanel(element, graph) {
+  this.element = element;
+  this.document = element.ownerDocument;
+  this._graph = graph;
+  this._trace = null;
+
+  this.render = this.render.bind(this);
+  this._graph.on("finished", this.render);
+
+  this._buildDOM();
+  this.element.hidden = true;
+}
+
+ExceptionsPanel.prototype = {
+  columns: ["Thrown", "Origin", "Caught by", "Frames unwound"],
+
+  setTrace: function(trace) {
+    this._trace = trace;
+    this.render();
+  },
+
+  /**
+   * Lists the exceptions of the trace. Live traces are listed once they
+   * finish.
+   */
+  render: function() {
+    var tbody = this._tbody;
+    while (tbody.hasChildNodes()) {
+      tbody.removeChild(tbody.firstChild);
+    }
+
+    var exceptions = this._trace && this._trace.finished ? findExceptions(this._trace) : [];
+    this.element.hidden = !exceptions.length;
+    this._title.textContent = "Exceptions (" + exceptions.length + ")";
+    for (var i = 0; i < exceptions.length; ++i) {
+      tbody.appendChild(this._createRow(exceptions[i]));
+    }
+  },
+
+  _createRow: function(exception) {
+    var doc = this.document;
+    var row = doc.createElementNS(XHTML_NS, "tr");
+
+    var value = doc.createElementNS(XHTML_NS, "td");
+    value.textContent = summarizeValue(exception.value);
+    row.appendChild(value);
+
+    row.appendChild(this._createFrameCell(exception.frames[0]));
+    if (exception.catcher) {
+      row.appendChild(this._createFrameCell(exception.catcher));
+    } else {
+      var uncaught = doc.createElementNS(XHTML_NS, "td");
+      uncaught.className = "exception-uncaught";
+      uncaught.textContent = "Uncaught";
+      row.appendChild(uncaught);
+    }
+
+    var unwound = doc.createElementNS(XHTML_NS, "td");
+    unwound.className = "numeric";
+    unwound.textContent = exception.frames.length;
+    row.appendChild(unwound);
+
+    return row;
+  },
+
+  _createFrameCell: function(frame) {
+    var doc = this.document;
+    var cell = doc.createElementNS(XHTML_NS, "td");
+    var link = doc.createElementNS(XHTML_NS, "a");
+    link.href = "#";
+    link.textContent = frame.name || "(anonymous)";
+    if (frame.location) {
+      link.title = formatLocation(frame.location);
+    }
+    link.addEventListener("click", function(ev) {
+      ev.preventDefault();
+      this._graph.showTraceFrame(frame);
+    }.bind(this));
+    cell.appendChild(link);
+    return cell;
+  },
+
+  _buildDOM: function() {
+    var doc = this.document;
+
+    this._title = doc.createElementNS(XHTML_NS, "h3");
+    this.element.appendChild(this._title);
+
+    var container = doc.createElementNS(XHTML_NS, "div");
+    container.className = "function-table-container";
+
+    var table = doc.createElementNS(XHTML_NS, "table");
+    table.className = "function-table";
+    var thead = doc.createElementNS(XHTML_NS, "thead");
+    var headerRow = doc.createElementNS(XHTML_NS, "tr");
+    this.columns.forEach(function(label) {
+      var th = doc.createElementNS(XHTML_NS, "th");
+      th.textContent = label;
+      headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    this._tbody = doc.createElementNS(XHTML_NS, "tbody");
+    table.appendChild(this._tbody);
+    container.appendChild(table);
+    this.element.appendChild(container);
+  }
+};
@@ -0,0 +1,110 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Re-roots a trace or merged call tree on the subtree of one of its
+ * frames, so that it can be displayed on its own.
+ *
+ * The result has the same shape as a Trace, with the frame at depth 0
+ * starting at time 0. Each of its nodes inherits from the frame it stands
+ * for, overriding only its uid, depth, times and links. Frames which had
+ * not exited yet end at the tree's current end time.
+ *
+ * @param {object} tree
+ *        A Trace, or a tree made by mergeTrace.
+ * @param {object} frame
+ *        The frame of the tree to focus on.
+ * @return {object}
+ */
+var focusTrace = function(tree, frame) {
+  var origin = frame.startTime;
+
+  var root = {
+    name: tree.name,
+    children: [],
+    frames: [],
+    functions: tree.functions,
+    maxDepth: 0,
+    startTime: 0,
+    endTime: endTimeOf(frame) - origin,
+    finished: true,
+    focused: true,
+    source: tree,
+    focus: frame,
+    _sources: [],
+    _nodes: [],
+
+    get totalTime() { return this.endTime; },
+
+    frameByUid: function(uid) {
+      return this.frames[uid];
+    },
+
+    /**
+     * Returns the frame of the source tree a node stands for.
+     *
+     * @param {object} node
+     */
+    sourceFrame: function(node) {
+      return this._sources[node.uid] || null;
+    },
+
+    /**
+     * Returns the node standing for a frame of the source tree, or of
+     * the trace it was merged from, or null if the frame is outside the
+     * focused subtree.
+     *
+     * @param {object} frame
+     */
+    nodeForFrame: function(frame) {
+      if (tree.frames[frame.uid] !== frame) {
+        frame = tree.nodeForFrame ? tree.nodeForFrame(frame) : null;
+      }
+      return frame && this._nodes[frame.uid] || null;
+    }
+  };
+
+  function endTimeOf(frame) {
+    return typeof frame.endTime === "number" ? frame.endTime : tree.endTime;
+  }
+
+  // Copy the subtree depth first without recursion, numbering the nodes
+  // in that order.
+  var stack = [{ frame: frame, parent: root }];
+  while (stack.length) {
+    var entry = stack.pop();
+    var source = entry.frame;
+    var parent = entry.parent;
+
+    var node = Object.create(source);
+    node.uid = root.frames.length;
+    node.depth = source.depth - frame.depth;
+    node.startTime = source.startTime - origin;
+    node.endTime = endTimeOf(source) - origin;
+    node.totalTime = node.endTime - node.startTime;
+    node.children = [];
+    node.older = parent;
+    node.previous = parent.children[parent.children.length - 1] || null;
+    node.next = null;
+    if (node.previous) {
+      node.previous.next = node;
+    }
+    parent.children.push(node);
+
+    if (node.depth > root.maxDepth) {
+      root.maxDepth = node.depth;
+    }
+    root.frames.push(node);
+    root._sources.push(source);
+    root._nodes[source.uid] = node;
+
+    for (var i = source.children.length - 1; i >= 0; --i) {
+      stack.push({ frame: source.children[i], parent: node });
+    }
+  }
+
+  return root;
+};
@@ -0,0 +1,191 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Panel inspecting the frame selected in a TraceGraph: its arguments,
+ * paired with the function's parameter names, and the value it returned,
+ * threw or yielded. Objects expand into a tree of their previewed
+ * contents. Hidden while no frame is selected.
+ *
+ * @param {Element} element
+ *        The element to render the panel into.
+ * @param {TraceGraph} graph
+ */
+function FrameDetails(element, graph) {
+  this.element = element;
+  this.document = element.ownerDocument;
+  this._graph = graph;
+
+  this.render = this.render.bind(this);
+  this._graph.on("selected", this.render);
+  this._graph.on("finished", this.render);
+
+  this.render();
+}
+
+FrameDetails.prototype = {
+  render: function() {
+    var element = this.element;
+    while (element.hasChildNodes()) {
+      element.removeChild(element.firstChild);
+    }
+
+    var graph = this._graph;
+    var selected = graph.selected;
+    element.hidden = !selected;
+    if (!selected) {
+      return;
+    }
+
+    var title = this._createElement("div", "frame-details-title", selected.name || "(anonymous)");
+    if (selected.location) {
+      var location = this._createElement("span", "frame-details-location",
+                                         formatLocation(selected.location));
+      var generated = selected.location.generated;
+      if (generated) {
+        location.title = "Generated: " + (generated.name ? generated.name + " at " : "") +
+                         formatLocation(generated);
+      }
+      title.appendChild(location);
+    }
+    element.appendChild(title);
+
+    // The frames of flame graphs stand for many calls, with no values.
+    var frame = graph.traceFrame(selected);
+    if (!frame) {
+      element.appendChild(this._createElement(
+        "div", "frame-details-note", "Select a call in the timeline to see its values."));
+      return;
+    }
+    if (frame.callsite) {
+      element.appendChild(this._createElement(
+        "div", "frame-details-note", "Called from " + formatLocation(frame.callsite)));
+    }
+
+    element.appendChild(this._createElement("div", "frame-details-heading", "Arguments"));
+    var args = this._arguments(frame);
+    if (!args) {
+      element.appendChild(this._createElement("div", "frame-details-note", "Not recorded"));
+    } else if (!args.length) {
+      element.appendChild(this._createElement("div", "frame-details-note", "None"));
+    }
+    (args || []).forEach(function(arg) {
+      var prefix = arg.extra ? "arg:" : "arg." + arg.name + ":";
+      element.appendChild(this._createValue(arg.name, arg.value, arg.missing,
+                                            arg.missing ? null : valueQuery(prefix, arg.value)));
+    }, this);
+
+    var kind = frameExitKind(frame);
+    var headings = { "return": "Returned", "throw": "Threw", "yield": "Yielded", "running": "Running" };
+    element.appendChild(this._createElement("div", "frame-details-heading", headings[kind]));
+    if (kind in frame) {
+      element.appendChild(this._createValue(kind, frame[kind], false,
+                                            valueQuery(kind + ":", frame[kind])));
+    } else if (kind !== "running") {
+      element.appendChild(this._createElement("div", "frame-details-note", "No value recorded"));
+    }
+  },
+
+  /**
+   * Returns the arguments of a frame paired with the parameter names,
+   * including parameters given no argument and arguments beyond the
+   * parameters, or null if the arguments were not recorded.
+   */
+  _arguments: function(frame) {
+    var args = frame.arguments;
+    if (!Array.isArray(args)) {
+      return null;
+    }
+    var names = frame.parameterNames || [];
+    var pairs = [];
+    for (var i = 0; i < Math.max(names.length, args.length); ++i) {
+      pairs.push({
+        name: i < names.length ? names[i] : "arguments[" + i + "]",
+        value: args[i],
+        missing: i >= args.length,
+        extra: i >= names.length
+      });
+    }
+    return pairs;
+  },
+
+  /**
+   * Returns the element showing a named value, which expands into its
+   * properties if it has any.
+   *
+   * @param {string} name
+   * @param {*} value
+   * @param {boolean} missing
+   *        Whether no value was passed for a parameter.
+   * @param {string} query
+   *        A search query for the frames with the same value, if any.
+   */
+  _createValue: function(name, value, missing, query) {
+    var properties = missing ? [] : valueProperties(value);
+    var label = this._createElement("span", "frame-details-name", name);
+    var summary = this._createElement("span", "frame-details-value",
+                                      missing ? "(not passed)" : summarizeValue(value));
+    if (query) {
+      var find = this._createElement("button", "frame-details-find", "Find");
+      find.title = "Search for calls with this value";
+      find.addEventListener("click", function(ev) {
+        ev.preventDefault();
+        this._graph.search(query);
+      }.bind(this));
+      summary.appendChild(find);
+    }
+
+    if (!properties.length) {
+      var leaf = this._createElement("div", "frame-details-entry");
+      leaf.appendChild(label);
+      leaf.appendChild(summary);
+      return leaf;
+    }
+
+    var details = this._createElement("details", "frame-details-entry");
+    var heading = this._createElement("summary");
+    heading.appendChild(label);
+    heading.appendChild(summary);
+    details.appendChild(heading);
+    properties.forEach(function(property) {
+      details.appendChild(property.getter
+        ? this._createAccessor(property.name)
+        : this._createValue(property.name, property.value));
+    }, this);
+    return details;
+  },
+
+  _createAccessor: function(name) {
+    var entry = this._createElement("div", "frame-details-entry");
+    entry.appendChild(this._createElement("span", "frame-details-name", name));
+    entry.appendChild(this._createElement("span", "frame-details-note", "(getter)"));
+    return entry;
+  },
+
+  _createElement: function(tagName, className, text) {
+    var element = this.document.createElementNS(XHTML_NS, tagName);
+    if (className) {
+      element.className = className;
+    }
+    if (text) {
+      element.textContent = text;
+    }
+    return element;
+  }
+};
+
+/**
+ * Returns a search query for the frames with a value whose summary is
+ * the same as a given value's, see frameMatcher.
+ *
+ * @param {string} prefix
+ *        The prefix of the values to search, such as "return:".
+ * @param {*} value
+ */
+function valueQuery(prefix, value) {
+  var escaped = summarizeValue(value).replace(/[\\^$.*+?()[\]{}|\/]/g, "\\$&");
+  return prefix + "/^" + escaped + "$/";
+}
@@ -0,0 +1,340 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Sortable, filterable table of the per-function statistics collected
+ * in Trace.functions. Selecting a row highlights that function's frames
+ * in the graph and allows stepping through them.
+ *
+ * @param {Element} element
+ *        The element to render the table into.
+ * @param {TraceGraph} graph
+ *        The graph whose frames should be highlighted.
+ */
+function FunctionTable(element, graph) {
+  this.element = element;
+  this.document = element.ownerDocument;
+  this._graph = graph;
+
+  this._sortKey = "selfTime";
+  this._descending = true;
+  this._filter = "";
+  this._selectedFid = undefined;
+  this._frames = [];
+  this._frameIndex = -1;
+
+  this._onGraphSelected = this._onGraphSelected.bind(this);
+  this._graph.on("selected", this._onGraphSelected);
+
+  this._buildDOM();
+
+  EventEmitter.decorate(this);
+}
+
+FunctionTable.prototype = {
+  columns: [
+    { key: "name",      label: "Function" },
+    { key: "count",     label: "Calls",   numeric: true },
+    { key: "totalTime", label: "Total",   numeric: true, time: true },
+    { key: "selfTime",  label: "Self",    numeric: true, time: true },
+    { key: "avgTime",   label: "Average", numeric: true, time: true },
+    { key: "maxTime",   label: "Max",     numeric: true, time: true },
+    { key: "activations", label: "Activations", numeric: true, activation: true },
+    { key: "wallTime",  label: "Wall",    numeric: true, time: true, activation: true },
+    { key: "location",  label: "Location" }
+  ],
+
+  setTrace: function(trace) {
+    this._trace = trace;
+    this._selectedFid = undefined;
+    this._frames = [];
+    this._frameIndex = -1;
+    this._graph.highlightFunction(undefined);
+    this._updateStepper();
+    this.render();
+  },
+
+  /**
+   * Sorts the table by a column. Sorting by the current column again
+   * reverses the order.
+   *
+   * @param {string} key
+   *        One of the keys in this.columns.
+   */
+  sortBy: function(key) {
+    if (key === this._sortKey) {
+      this._descending = !this._descending;
+    } else {
+      this._sortKey = key;
+      this._descending = this._isNumeric(key);
+    }
+    this.render();
+  },
+
+  /**
+   * Only shows functions whose names contain the given string.
+   *
+   * @param {string} filter
+   */
+  setFilter: function(filter) {
+    this._filter = filter.toLowerCase();
+    this.render();
+  },
+
+  /**
+   * Selects a function, highlighting all of its frames in the graph.
+   *
+   * @param {integer} fid
+   *        The function ID, or undefined to clear the selection.
+   */
+  selectFunction: function(fid) {
+    if (fid === this._selectedFid) {
+      return;
+    }
+    this._selectedFid = fid;
+    this._frames = [];
+    this._frameIndex = -1;
+
+    if (typeof fid === "number") {
+      var frames = this._trace.frames;
+      for (var i = 0; i < frames.length; ++i) {
+        if (frames[i].fid === fid) {
+          this._frames.push(frames[i]);
+        }
+      }
+    }
+
+    this._graph.highlightFunction(fid);
+    this._updateRowSelection();
+    this._updateStepper();
+    this.emit("selected", fid);
+  },
+
+  /**
+   * Selects the next or previous frame of the selected function and
+   * pans the graph to it.
+   *
+   * @param {integer} direction
+   *        1 to step forward, -1 to step backward.
+   */
+  step: function(direction) {
+    var count = this._frames.length;
+    if (!count) {
+      return;
+    }
+    var index = this._frameIndex + direction;
+    if (index < 0) {
+      index = count - 1;
+    } else if (index >= count) {
+      index = 0;
+    }
+    this._frameIndex = index;
+
+    var frame = this._frames[index];
+    this._graph.select(frame);
+    this._graph.showFrame(frame);
+    this._updateStepper();
+  },
+
+  render: function() {
+    var tbody = this._tbody;
+    while (tbody.hasChildNodes()) {
+      tbody.removeChild(tbody.firstChild);
+    }
+    this._rows = Object.create(null);
+    this._updateHeaders();
+
+    if (!this._trace) {
+      return;
+    }
+
+    // Generator and async functions also get the count and wall time of
+    // their activations, see stitchActivations.
+    var stitched = getActivations(this._trace);
+    this._activationStats = stitched ? stitched.byFid : [];
+
+    var filter = this._filter;
+    var entries = [];
+    this._trace.functions.forEach(function(aggregated, fid) {
+      if (filter && (aggregated.name || "").toLowerCase().indexOf(filter) === -1) {
+        return;
+      }
+      entries.push({ fid: fid, aggregated: aggregated });
+    });
+
+    var key = this._sortKey;
+    var sign = this._descending ? -1 : 1;
+    var self = this;
+    entries.sort(function(a, b) {
+      var x = self._value(a.aggregated, key, a.fid);
+      var y = self._value(b.aggregated, key, b.fid);
+      if (x < y) return -sign;
+      if (x > y) return sign;
+      return a.fid - b.fid;
+    });
+
+    for (var i = 0; i < entries.length; ++i) {
+      var row = this._createRow(entries[i].fid, entries[i].aggregated);
+      this._rows[entries[i].fid] = row;
+      tbody.appendChild(row);
+    }
+    this._updateRowSelection();
+  },
+
+  _isNumeric: function(key) {
+    return this.columns.some(function(column) {
+      return column.key === key && column.numeric;
+    });
+  },
+
+  /**
+   * Returns the value of a column for a function's aggregated info.
+   */
+  _value: function(aggregated, key, fid) {
+    switch (key) {
+      case "activations":
+        return this._activationStats[fid] ? this._activationStats[fid].count : 0;
+      case "wallTime":
+        return this._activationStats[fid] ? this._activationStats[fid].wallTime : 0;
+      case "name":
+        return aggregated.name || "";
+      case "location":
+        return aggregated.location ? formatLocation(aggregated.location) : "";
+      case "avgTime":
+        return aggregated.count ? (aggregated.totalTime || 0) / aggregated.count : 0;
+      default:
+        return aggregated[key] || 0;
+    }
+  },
+
+  _createRow: function(fid, aggregated) {
+    var doc = this.document;
+    var row = doc.createElementNS(XHTML_NS, "tr");
+
+    for (var i = 0; i < this.columns.length; ++i) {
+      var column = this.columns[i];
+      var value = this._value(aggregated, column.key, fid);
+      var cell = doc.createElementNS(XHTML_NS, "td");
+      if (column.activation && !this._activationStats[fid]) {
+        cell.textContent = "";
+      } else if (column.time) {
+        cell.textContent = formatTime(value);
+      } else {
+        cell.textContent = value;
+      }
+      if (column.numeric) {
+        cell.className = "numeric";
+      }
+      row.appendChild(cell);
+    }
+
+    row.addEventListener("click", function() {
+      this.selectFunction(fid === this._selectedFid ? undefined : fid);
+    }.bind(this));
+
+    return row;
+  },
+
+  _buildDOM: function() {
+    var doc = this.document;
+    var self = this;
+
+    var toolbar = doc.createElementNS(XHTML_NS, "div");
+    toolbar.className = "function-table-toolbar";
+
+    var filter = doc.createElementNS(XHTML_NS, "input");
+    filter.type = "search";
+    filter.placeholder = "Filter functions";
+    filter.addEventListener("input", function() {
+      self.setFilter(filter.value);
+    });
+    toolbar.appendChild(filter);
+
+    this._prevButton = doc.createElementNS(XHTML_NS, "button");
+    this._prevButton.textContent = "◀";
+    this._prevButton.title = "Previous frame";
+    this._prevButton.addEventListener("click", function() { self.step(-1); });
+    toolbar.appendChild(this._prevButton);
+
+    this._nextButton = doc.createElementNS(XHTML_NS, "button");
+    this._nextButton.textContent = "▶";
+    this._nextButton.title = "Next frame";
+    this._nextButton.addEventListener("click", function() { self.step(1); });
+    toolbar.appendChild(this._nextButton);
+
+    this._stepLabel = doc.createElementNS(XHTML_NS, "span");
+    this._stepLabel.className = "function-table-step";
+    toolbar.appendChild(this._stepLabel);
+
+    var container = doc.createElementNS(XHTML_NS, "div");
+    container.className = "function-table-container";
+
+    var table = doc.createElementNS(XHTML_NS, "table");
+    table.className = "function-table";
+    var thead = doc.createElementNS(XHTML_NS, "thead");
+    var headerRow = doc.createElementNS(XHTML_NS, "tr");
+    this._headers = [];
+    this.columns.forEach(function(column) {
+      var th = doc.createElementNS(XHTML_NS, "th");
+      th.addEventListener("click", function() { self.sortBy(column.key); });
+      headerRow.appendChild(th);
+      self._headers.push(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    this._tbody = doc.createElementNS(XHTML_NS, "tbody");
+    table.appendChild(this._tbody);
+    container.appendChild(table);
+
+    this.element.appendChild(toolbar);
+    this.element.appendChild(container);
+
+    this._updateStepper();
+  },
+
+  _updateHeaders: function() {
+    for (var i = 0; i < this.columns.length; ++i) {
+      var column = this.columns[i];
+      var label = column.label;
+      if (column.key === this._sortKey) {
+        label += this._descending ? " ▾" : " ▴";
+      }
+      this._headers[i].textContent = label;
+      this._headers[i].className = column.numeric ? "numeric" : "";
+    }
+  },
+
+  _updateRowSelection: function() {
+    if (!this._rows) {
+      return;
+    }
+    for (var fid in this._rows) {
+      this._rows[fid].className = +fid === this._selectedFid ? "selected" : "";
+    }
+  },
+
+  _updateStepper: function() {
+    var count = this._frames.length;
+    this._prevButton.disabled = !count;
+    this._nextButton.disabled = !count;
+    if (!count) {
+      this._stepLabel.textContent = "";
+    } else if (this._frameIndex < 0) {
+      this._stepLabel.textContent = count + " frames";
+    } else {
+      this._stepLabel.textContent = (this._frameIndex + 1) + " of " + count;
+    }
+  },
+
+  _onGraphSelected: function(ev, frame) {
+    var index = frame ? this._frames.indexOf(frame) : -1;
+    if (index !== -1) {
+      this._frameIndex = index;
+      this._updateStepper();
+    }
+  }
+};
@@ -1,6 +1,518 @@
 window.onload = function() {
-  var container = document.getElementById("visualization");
-  var graph = new TraceGraph(container);
-  var trace = parseTrace(DATA);
-  graph.setTrace(trace);
+  var tabs = new TraceTabs(document.getElementById("tab-bar"), document.getElementById("landing"));
+  var permalink = new Permalink(window);
+  var searchBars = document.getElementById("search");
+  var sourceLoader = new SourceLoader(getLocalStorage());
+  var sourceMaps = new SourceMapSet();
+
+  var modeSelect = document.getElementById("view-mode");
+  var colorSchemeSelect = document.getElementById("color-scheme");
+  var rowHeightSelect = document.getElementById("row-height");
+  var fitDepthCheckbox = document.getElementById("fit-visible-depth");
+  var followCheckbox = document.getElementById("follow");
+  var sourceMapInput = document.getElementById("source-map-files");
+  var findSourceMapsButton = document.getElementById("find-source-maps");
+  var groupByOriginalCheckbox = document.getElementById("group-by-original");
+  var exportButtons = document.querySelectorAll("#export button");
+  var viewControls = [modeSelect, colorSchemeSelect, rowHeightSelect, fitDepthCheckbox,
+                      findSourceMapsButton]
+    .concat(Array.prototype.slice.call(exportButtons));
+
+  /**
+   * Returns a tab showing a trace in its own graph, with the panels
+   * around it.
+   */
+  function createTab(trace) {
+    var panel = document.createElement("div");
+    panel.className = "trace-panel";
+    var parts = {};
+    ["breadcrumb-bar", "visualization", "frame-details", "source", "range",
+     "annotations", "exceptions", "functions"].forEach(function(name) {
+      parts[name] = document.createElement("div");
+      parts[name].className = name;
+      panel.appendChild(parts[name]);
+    });
+    var search = document.createElement("span");
+    searchBars.appendChild(search);
+
+    var graph = new TraceGraph(parts.visualization);
+    var tab = {
+      title: trace.name || "Trace",
+      panel: panel,
+      trace: trace,
+      generatedTrace: trace, // As recorded, before any source maps
+      graph: graph,
+      table: new FunctionTable(parts.functions, graph),
+      searchBar: new SearchBar(search, graph),
+      breadcrumbs: new Breadcrumbs(parts["breadcrumb-bar"], graph),
+      details: new FrameDetails(parts["frame-details"], graph),
+      source: new SourcePane(parts.source, graph, sourceLoader),
+      rangePanel: new RangePanel(parts.range, graph),
+      annotations: new AnnotationsPanel(parts.annotations, graph),
+      exceptions: new ExceptionsPanel(parts.exceptions, graph),
+      search: ""
+    };
+
+    ["modechanged", "colorschemechanged", "followchanged"].forEach(function(event) {
+      graph.on(event, function() {
+        if (tab === tabs.selected) {
+          updateControls();
+        }
+      });
+    });
+    graph.on("finished", function() {
+      if (tab.trace === tab.generatedTrace && usesSourceMaps(tab.trace)) {
+        remapTab(tab);
+        return;
+      }
+      tab.table.render();
+      if (tab === tabs.selected) {
+        updateControls();
+      }
+    });
+    return tab;
+  }
+
+  /**
+   * Opens a trace in a new tab.
+   *
+   * @param {Trace} trace
+   * @param {string} search
+   *        The query string of the page's URL that opens the trace again,
+   *        or "" if it can't be linked to.
+   * @param {string} hash
+   *        The URL hash with the view state to restore, if any.
+   * @return {object}
+   *         The tab.
+   */
+  function openTab(trace, search, hash) {
+    var tab = createTab(trace);
+    tab.search = search;
+    tabs.add(tab);
+    setTabTrace(tab, trace.finished && usesSourceMaps(trace) ? remappedTrace(tab) : trace);
+
+    history.replaceState(null, "", location.pathname + search + (hash || ""));
+    permalink.restore();
+    return tab;
+  }
+
+  function setTabTrace(tab, trace) {
+    tab.trace = trace;
+    tab.graph.setTrace(trace);
+    tab.table.setTrace(trace);
+    tab.annotations.setTrace(trace);
+    tab.exceptions.setTrace(trace);
+    tab.source.setTrace(trace);
+    updateControls();
+  }
+
+  /**
+   * Returns whether a source map covers a script of a trace.
+   *
+   * @param {Trace} trace
+   *        A trace with generated locations.
+   * @param {array} maps
+   *        Optional. The maps to look for, rather than any.
+   */
+  function usesSourceMaps(trace, maps) {
+    return trace.functions.some(function(aggregated) {
+      var map = aggregated.location && sourceMaps.get(aggregated.location.url);
+      return !!map && (!maps || maps.indexOf(map) !== -1);
+    });
+  }
+
+  /**
+   * Returns the finished trace of a tab with its locations remapped by
+   * the source maps, keeping its markers and comments.
+   */
+  function remappedTrace(tab) {
+    var trace = remapTrace(tab.generatedTrace, sourceMaps, groupByOriginalCheckbox.checked);
+    trace.markers = tab.trace.markers;
+    trace.comments = tab.trace.comments;
+    return trace;
+  }
+
+  /**
+   * Shows a tab's trace remapped again, keeping the view.
+   */
+  function remapTab(tab) {
+    var state = tab.graph.getViewState();
+    var trace = remappedTrace(tab);
+    // Frames keep their UIDs in the timeline, but the flame graphs merge
+    // frames by function, so their UIDs change when functions are grouped
+    // differently.
+    if (state.mode !== "timeline" && trace.functions.length !== tab.trace.functions.length) {
+      state.focus = null;
+      state.selected = null;
+    }
+    setTabTrace(tab, trace);
+    tab.graph.setViewState(state);
+  }
+
+  /**
+   * Remaps the finished tabs with scripts covered by some of the source
+   * maps, or by any if none are given.
+   *
+   * @param {array} maps
+   *        Optional.
+   */
+  function remapTabs(maps) {
+    tabs.tabs.forEach(function(tab) {
+      if (tab.trace.finished && usesSourceMaps(tab.generatedTrace, maps)) {
+        remapTab(tab);
+      }
+    });
+  }
+
+  function updateControls() {
+    var tab = tabs.selected;
+    viewControls.forEach(function(control) {
+      control.disabled = !tab;
+    });
+    followCheckbox.disabled = !tab || tab.trace.finished;
+    findSourceMapsButton.disabled = !tab || !tab.trace.finished;
+    if (!tab) {
+      return;
+    }
+    var graph = tab.graph;
+    modeSelect.value = graph.mode;
+    colorSchemeSelect.value = graph.colorScheme.name;
+    rowHeightSelect.value = graph.rowHeight;
+    fitDepthCheckbox.checked = graph.fitVisibleDepth;
+    followCheckbox.checked = graph.follow;
+  }
+
+  tabs.on("selected", function(ev, tab) {
+    for (var i = 0; i < tabs.tabs.length; ++i) {
+      tabs.tabs[i].searchBar.element.hidden = tabs.tabs[i] !== tab;
+    }
+    if (tab) {
+      tab.graph.resize();
+    }
+    updateControls();
+    history.replaceState(null, "", location.pathname + (tab ? tab.search : ""));
+    permalink.setGraph(tab && tab.graph);
+  });
+  tabs.on("closed", function(ev, tab) {
+    searchBars.removeChild(tab.searchBar.element);
+    tab.graph.destroy();
+    tab.source.destroy();
+    if (tab.close) {
+      tab.close();
+    }
+  });
+
+  function selectedGraph() {
+    return tabs.selected && tabs.selected.graph;
+  }
+
+  modeSelect.addEventListener("change", function() {
+    selectedGraph().setMode(modeSelect.value);
+  });
+  colorSchemeSelect.addEventListener("change", function() {
+    selectedGraph().setColorScheme(colorSchemeSelect.value);
+  });
+  rowHeightSelect.addEventListener("change", function() {
+    selectedGraph().setRowHeight(Number(rowHeightSelect.value));
+  });
+  fitDepthCheckbox.addEventListener("change", function() {
+    selectedGraph().setFitVisibleDepth(fitDepthCheckbox.checked);
+  });
+  followCheckbox.addEventListener("change", function() {
+    selectedGraph().setFollow(followCheckbox.checked);
+  });
+  for (var i = 0; i < exportButtons.length; ++i) {
+    exportButtons[i].addEventListener("click", function(ev) {
+      exportTrace(tabs.selected.trace, ev.target.dataset.format);
+    });
+  }
+
+  // Source maps opened from files are found by the script name in their
+  // "file", or else in their own name.
+  sourceMapInput.addEventListener("change", function() {
+    var files = Array.prototype.slice.call(sourceMapInput.files);
+    sourceMapInput.value = "";
+    var added = [];
+    var errors = [];
+    Promise.all(files.map(function(file) {
+      return readText(file).then(function(text) {
+        var map = new SourceMap(text, null);
+        addSourceMap(sourceMaps, sourceLoader, map, map.file ? null : file.name.replace(/\.map$/, ""));
+        added.push(map);
+      }).catch(function(error) {
+        errors.push(file.name + ": " + error.message);
+      });
+    })).then(function() {
+      showStatus(errors.length ? "Could not open source maps " + errors.join("; ") : "",
+                 errors.length > 0);
+      if (added.length) {
+        remapTabs(added);
+      }
+    });
+  });
+  findSourceMapsButton.addEventListener("click", function() {
+    showStatus("Loading source maps…");
+    loadReferencedSourceMaps(tabs.selected.generatedTrace, sourceMaps, sourceLoader).then(function(result) {
+      var count = result.maps.length;
+      var message = "Loaded " + count + (count === 1 ? " source map" : " source maps");
+      if (result.errors.length) {
+        message += "; " + result.errors.map(function(error) { return error.message; }).join("; ");
+      }
+      showStatus(message, result.errors.length > 0);
+      if (count) {
+        remapTabs(result.maps);
+      }
+    });
+  });
+  groupByOriginalCheckbox.addEventListener("change", function() {
+    remapTabs();
+  });
+
+  var openInput = document.getElementById("open-file");
+  var openStatus = document.getElementById("open-status");
+  var cancelButton = document.getElementById("open-cancel");
+  var loading = [];
+
+  function showStatus(message, error) {
+    openStatus.textContent = message;
+    openStatus.className = error ? "open-error" : "";
+  }
+
+  /**
+   * Loads a trace from a File or URL in a worker, and opens it in a new
+   * tab, or a tab for each thread of Chrome traces with the busiest
+   * selected. Any number of traces can load at once.
+   *
+   * @param {Blob|string} source
+   * @param {string} name
+   * @param {function} onLoaded
+   *        Called with the trace, or the busiest thread's, to open it and
+   *        return its tab. Opens a tab that can't be linked to by default.
+   */
+  function loadTrace(source, name, onLoaded) {
+    var task = parseTraceInWorker(source, { name: name });
+    loading.push(task);
+    cancelButton.hidden = false;
+    showStatus("Loading " + name + "…");
+
+    function finish(message, error) {
+      loading.splice(loading.indexOf(task), 1);
+      cancelButton.hidden = !loading.length;
+      showStatus(message, error);
+    }
+    task.on("progress", function(ev, phase, loaded, total) {
+      showStatus(phase === "reading" && total
+        ? "Reading " + name + ": " + Math.round(100 * loaded / total) + "%"
+        : "Building " + name + "…");
+    });
+    task.on("loaded", function(ev, traces) {
+      finish(traces.length > 1 ? "Opened the " + traces.length + " threads of " + name : "");
+      var tab = onLoaded ? onLoaded(traces[0]) : openTab(traces[0], "");
+      if (traces.length > 1) {
+        traces.slice(1).forEach(function(trace) {
+          openTab(trace, "");
+        });
+        tabs.select(tab);
+      }
+    });
+    task.on("error", function(ev, error) {
+      finish("Could not open " + name + ": " + error.message, true);
+    });
+  }
+
+  function loadFiles(files) {
+    for (var i = 0; i < files.length; ++i) {
+      loadTrace(files[i], files[i].name);
+    }
+  }
+
+  openInput.addEventListener("change", function() {
+    loadFiles(openInput.files);
+    openInput.value = "";
+  });
+  cancelButton.addEventListener("click", function() {
+    loading.forEach(function(task) {
+      task.cancel();
+    });
+    loading = [];
+    cancelButton.hidden = true;
+    showStatus("Cancelled");
+  });
+
+  // Files can be dropped on the graphs or the landing panel.
+  var dropTarget = document.getElementById("panels");
+  function isFileDrag(ev) {
+    return Array.prototype.indexOf.call(ev.dataTransfer.types, "Files") !== -1;
+  }
+  dropTarget.addEventListener("dragover", function(ev) {
+    if (isFileDrag(ev)) {
+      ev.preventDefault();
+      ev.dataTransfer.dropEffect = "copy";
+      dropTarget.classList.add("drop-target");
+    }
+  });
+  dropTarget.addEventListener("dragleave", function(ev) {
+    if (!dropTarget.contains(ev.relatedTarget)) {
+      dropTarget.classList.remove("drop-target");
+    }
+  });
+  dropTarget.addEventListener("drop", function(ev) {
+    dropTarget.classList.remove("drop-target");
+    if (isFileDrag(ev)) {
+      ev.preventDefault();
+      loadFiles(ev.dataTransfer.files);
+    }
+  });
+
+  // Traces pasted anywhere but in a text field are opened: copied files,
+  // or their JSON text.
+  document.addEventListener("paste", function(ev) {
+    var target = ev.target;
+    if (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.nodeName)) {
+      return;
+    }
+    var data = ev.clipboardData;
+    if (data.files.length) {
+      ev.preventDefault();
+      loadFiles(data.files);
+      return;
+    }
+    var text = data.getData("text/plain");
+    if (text.trim()) {
+      ev.preventDefault();
+      loadTrace(new Blob([text], { type: "application/json" }), "Pasted trace");
+    }
+  });
+
+  document.getElementById("open-sample").addEventListener("click", function(ev) {
+    ev.preventDefault();
+    openTab(parseTrace(DATA), "");
+  });
+
+  // ?live=<WebSocket URL> follows a trace being recorded, ?trace=<URL>
+  // loads a saved one, and the hash restores the view of a permalink.
+  var search = window.location.search;
+  var hash = window.location.hash;
+  var params = new URLSearchParams(search);
+  var liveUrl = params.get("live");
+  var traceUrl = params.get("trace");
+  if (liveUrl) {
+    var client = new WebSocketTraceClient(liveUrl);
+    var liveTrace = connectLiveTrace(client, function(error) {
+      showStatus(error.message, true);
+    });
+    var liveTab = openTab(liveTrace, search, hash);
+    liveTab.close = function() {
+      // Finished first, so that closing the tab is not a lost connection.
+      if (!liveTrace.finished) {
+        liveTrace.finish();
+      }
+      client.close();
+    };
+    liveTab.graph.setFollow(true);
+  } else if (traceUrl) {
+    loadTrace(traceUrl, traceUrl, function(trace) {
+      return openTab(trace, search, hash);
+    });
+  } else {
+    openTab(parseTrace(DATA), "", hash);
+  }
+}
+
+/**
+ * Returns a trace recorded from a WebSocket trace server, and connects to
+ * it. The trace is finished when the server stops tracing or the
+ * connection closes.
+ *
+ * @param {WebSocketTraceClient} client
+ * @param {function} onError
+ *        Called with an Error if the connection fails, is lost before the
+ *        trace is finished, or receives invalid packets.
+ * @return {Trace}
+ */
+function connectLiveTrace(client, onError) {
+  var trace = new Trace(client, client.url);
+  var opened = false;
+
+  var finish = function() {
+    if (!trace.finished) {
+      trace.finish();
+    }
+  };
+  client.on("open", function() {
+    opened = true;
+  });
+  client.on("traceStarted", function(ev, packet) {
+    if (packet.name) {
+      trace.name = packet.name;
+    }
+  });
+  client.on("traceStopped", finish);
+  client.on("close", function() {
+    if (opened && !trace.finished) {
+      onError(new Error("Lost the connection to " + client.url));
+    }
+    finish();
+  });
+  client.on("error", function(ev, error) {
+    onError(error);
+  });
+
+  client.connect();
+  return trace;
+}
+
+/**
+ * Reads a File as text.
+ *
+ * @param {Blob} blob
+ * @return {Promise}
+ */
+function readText(blob) {
+  return new Promise(function(resolve, reject) {
+    var reader = new FileReader();
+    reader.onload = function() { resolve(reader.result); };
+    reader.onerror = function() { reject(reader.error); };
+    reader.readAsText(blob);
+  });
+}
+
+/**
+ * Returns the page's localStorage, or null where it's not available,
+ * such as in sandboxed frames.
+ */
+function getLocalStorage() {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    return null;
+  }
+}
+
+var EXPORT_FORMATS = {
+  json:       { method: "toJSON",         extension: ".json",            type: "application/json" },
+  chrome:     { method: "toChromeTrace",  extension: ".json",            type: "application/json" },
+  speedscope: { method: "toSpeedscope",   extension: ".speedscope.json", type: "application/json" },
+  folded:     { method: "toFoldedStacks", extension: ".folded",          type: "text/plain" }
+};
+
+/**
+ * Saves a trace to a file in one of the export formats.
+ *
+ * @param {Trace} trace
+ * @param {string} format
+ *        One of the keys of EXPORT_FORMATS.
+ */
+function exportTrace(trace, format) {
+  var info = EXPORT_FORMATS[format];
+  var blob = new Blob([trace[info.method]()], { type: info.type });
+  var url = URL.createObjectURL(blob);
+
+  var link = document.createElement("a");
+  link.href = url;
+  link.download = (trace.name || "trace") + info.extension;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(function() { URL.revokeObjectURL(url); }, 0);
 }
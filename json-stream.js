@@ -0,0 +1,307 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Incremental JSON parser. Text is fed in chunks of any size with
+ * write(), and the parsed value is returned by end(). Nesting is tracked
+ * with an explicit stack, so deeply nested input does not overflow the
+ * JS stack, and the caller can report progress or give up between
+ * chunks.
+ *
+ * Errors are thrown as SyntaxErrors giving the position of the offending
+ * character in the whole text.
+ */
+function JSONStreamParser() {
+  this.position = 0;
+
+  this._stack = [];
+  this._state = JSON_STATE.VALUE;
+  this._token = null;
+  this._done = false;
+  this._value = undefined;
+}
+
+var JSON_STATE = {
+  VALUE: 0,         // a value
+  FIRST_VALUE: 1,   // a value or the end of an empty array
+  KEY: 2,           // a property name
+  FIRST_KEY: 3,     // a property name or the end of an empty object
+  COLON: 4,         // the colon after a property name
+  AFTER_VALUE: 5,   // a comma or the end of the enclosing container
+  END: 6            // nothing but whitespace
+};
+
+var JSON_LITERALS = { "true": true, "false": false, "null": null };
+var JSON_NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+var JSON_NUMBER_END = /[^-+.0-9eE]/g;
+var JSON_LITERAL_END = /[^a-z]/g;
+var JSON_CONTROL_CHARACTER = /[\u0000-\u001f]/;
+
+JSONStreamParser.prototype = {
+  /**
+   * Parses the next chunk of text.
+   *
+   * @param {string} chunk
+   * @throws {SyntaxError}
+   */
+  write: function(chunk) {
+    if (this._done) {
+      throw new Error("JSONStreamParser.write called after end");
+    }
+    var i = 0;
+    var length = chunk.length;
+    // Where the next backslash in the chunk is, found lazily by strings.
+    this._backslash = -2;
+    while (i < length) {
+      if (this._token) {
+        i = this._continueToken(chunk, i);
+        continue;
+      }
+
+      var code = chunk.charCodeAt(i);
+      if (code === 0x20 || code === 0x0a || code === 0x0d || code === 0x09) {
+        i++;
+        continue;
+      }
+      var ch = chunk[i];
+
+      switch (this._state) {
+        case JSON_STATE.FIRST_VALUE:
+          if (ch === "]") {
+            this._close();
+            i++;
+            continue;
+          }
+          // Fall through.
+        case JSON_STATE.VALUE:
+          i = this._startValue(chunk, i);
+          continue;
+
+        case JSON_STATE.FIRST_KEY:
+          if (ch === "}") {
+            this._close();
+            i++;
+            continue;
+          }
+          // Fall through.
+        case JSON_STATE.KEY:
+          if (ch !== "\"") {
+            this._unexpected(ch, i, "a property name");
+          }
+          this._token = { type: "key", raw: "", escaped: false, hasEscapes: false };
+          i++;
+          continue;
+
+        case JSON_STATE.COLON:
+          if (ch !== ":") {
+            this._unexpected(ch, i, "':'");
+          }
+          this._state = JSON_STATE.VALUE;
+          i++;
+          continue;
+
+        case JSON_STATE.AFTER_VALUE:
+          var top = this._stack[this._stack.length - 1];
+          if (ch === ",") {
+            this._state = top.isArray ? JSON_STATE.VALUE : JSON_STATE.KEY;
+          } else if (ch === (top.isArray ? "]" : "}")) {
+            this._close();
+          } else {
+            this._unexpected(ch, i, top.isArray ? "',' or ']'" : "',' or '}'");
+          }
+          i++;
+          continue;
+
+        case JSON_STATE.END:
+          this._unexpected(ch, i, "the end of the input");
+      }
+    }
+    this.position += length;
+  },
+
+  /**
+   * Finishes parsing.
+   *
+   * @return {any}
+   *         The parsed value.
+   * @throws {SyntaxError}
+   *         If the text ended before the value was complete.
+   */
+  end: function() {
+    // A number or literal at the very end has nothing after it to end it.
+    if (this._token && (this._token.type === "number" || this._token.type === "literal")) {
+      this._finishToken(this.position);
+    }
+    if (this._token || this._state !== JSON_STATE.END) {
+      throw new SyntaxError("Unexpected end of JSON input at position " + this.position);
+    }
+    this._done = true;
+    return this._value;
+  },
+
+  _startValue: function(chunk, i) {
+    var ch = chunk[i];
+    if (ch === "{" || ch === "[") {
+      var isArray = ch === "[";
+      this._stack.push({ value: isArray ? [] : {}, isArray: isArray, key: null });
+      this._state = isArray ? JSON_STATE.FIRST_VALUE : JSON_STATE.FIRST_KEY;
+      return i + 1;
+    }
+    if (ch === "\"") {
+      this._token = { type: "string", raw: "", escaped: false, hasEscapes: false };
+      return i + 1;
+    }
+    if (ch === "-" || (ch >= "0" && ch <= "9")) {
+      this._token = { type: "number", raw: "" };
+      return i;
+    }
+    if (ch >= "a" && ch <= "z") {
+      this._token = { type: "literal", raw: "" };
+      return i;
+    }
+    this._unexpected(ch, i, "a value");
+  },
+
+  /**
+   * Consumes as much of the current string, number or literal token as
+   * the chunk holds, starting at index i. Returns the index after the
+   * consumed text.
+   */
+  _continueToken: function(chunk, i) {
+    var token = this._token;
+
+    if (token.type === "string" || token.type === "key") {
+      if (token.escaped) {
+        // The previous chunk ended with a backslash.
+        token.raw += chunk[i];
+        token.escaped = false;
+        i++;
+      }
+      while (i < chunk.length) {
+        var quote = chunk.indexOf("\"", i);
+        if (this._backslash !== -1 && this._backslash < i) {
+          this._backslash = chunk.indexOf("\\", i);
+        }
+        var backslash = this._backslash;
+        if (backslash !== -1 && (quote === -1 || backslash < quote)) {
+          token.hasEscapes = true;
+          if (backslash + 1 < chunk.length) {
+            token.raw += this._stringText(chunk, i, backslash + 2);
+            i = backslash + 2;
+          } else {
+            token.raw += this._stringText(chunk, i, chunk.length);
+            token.escaped = true;
+            return chunk.length;
+          }
+        } else if (quote !== -1) {
+          token.raw += this._stringText(chunk, i, quote);
+          this._finishToken(this.position + quote);
+          return quote + 1;
+        } else {
+          token.raw += this._stringText(chunk, i, chunk.length);
+          return chunk.length;
+        }
+      }
+      return i;
+    }
+
+    var pattern = token.type === "number" ? JSON_NUMBER_END : JSON_LITERAL_END;
+    pattern.lastIndex = i;
+    var match = pattern.exec(chunk);
+    var end = match ? match.index : chunk.length;
+    token.raw += chunk.slice(i, end);
+    if (match) {
+      this._finishToken(this.position + end);
+    }
+    return end;
+  },
+
+  /**
+   * Returns the text of a string token between two indices of a chunk.
+   *
+   * @throws {SyntaxError}
+   *         If the text holds a control character, which JSON strings
+   *         only hold escaped.
+   */
+  _stringText: function(chunk, start, end) {
+    var text = chunk.slice(start, end);
+    var match = JSON_CONTROL_CHARACTER.exec(text);
+    if (match) {
+      throw new SyntaxError("Invalid string before position " +
+                            (this.position + start + match.index + 1));
+    }
+    return text;
+  },
+
+  _finishToken: function(position) {
+    var token = this._token;
+    var value;
+    this._token = null;
+
+    switch (token.type) {
+      case "key":
+      case "string":
+        value = token.raw;
+        if (token.hasEscapes) {
+          try {
+            value = JSON.parse("\"" + token.raw + "\"");
+          } catch (ex) {
+            throw new SyntaxError("Invalid string before position " + position);
+          }
+        }
+        if (token.type === "key") {
+          this._stack[this._stack.length - 1].key = value;
+          this._state = JSON_STATE.COLON;
+          return;
+        }
+        break;
+      case "number":
+        if (!JSON_NUMBER.test(token.raw)) {
+          throw new SyntaxError("Invalid number " + JSON.stringify(token.raw) +
+                                " before position " + position);
+        }
+        value = Number(token.raw);
+        break;
+      case "literal":
+        if (!JSON_LITERALS.hasOwnProperty(token.raw)) {
+          throw new SyntaxError("Unexpected token " + JSON.stringify(token.raw) +
+                                " before position " + position);
+        }
+        value = JSON_LITERALS[token.raw];
+        break;
+    }
+    this._addValue(value);
+  },
+
+  _close: function() {
+    var container = this._stack.pop();
+    this._addValue(container.value);
+  },
+
+  _addValue: function(value) {
+    var top = this._stack[this._stack.length - 1];
+    if (!top) {
+      this._value = value;
+      this._state = JSON_STATE.END;
+      return;
+    }
+    if (top.isArray) {
+      top.value.push(value);
+    } else if (top.key === "__proto__") {
+      Object.defineProperty(top.value, top.key, {
+        value: value, writable: true, enumerable: true, configurable: true
+      });
+    } else {
+      top.value[top.key] = value;
+    }
+    this._state = JSON_STATE.AFTER_VALUE;
+  },
+
+  _unexpected: function(ch, i, expected) {
+    throw new SyntaxError("Unexpected " + JSON.stringify(ch) + " at position " +
+                          (this.position + i) + ", expected " + expected);
+  }
+};
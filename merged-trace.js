@@ -0,0 +1,149 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Merges identical call paths of a trace into one aggregated call tree,
+ * for display as a flame graph.
+ *
+ * The result has the same shape as a Trace (children, frames, maxDepth,
+ * totalTime), so it can be displayed by the same views. Its nodes are
+ * laid out one after another on a synthetic time axis, with widths
+ * proportional to their summed total time.
+ *
+ * @param {Trace} trace
+ *        The trace to merge.
+ * @param {boolean} inverted
+ *        If true, build a bottom-up tree: roots are the functions in
+ *        which time was spent, and children are their callers.
+ * @return {object}
+ */
+var mergeTrace = function(trace, inverted) {
+  var root = {
+    name: trace.name,
+    children: [],
+    frames: [],
+    functions: trace.functions,
+    maxDepth: 0,
+    startTime: 0,
+    finished: true,
+    merged: true,
+    inverted: !!inverted,
+    source: trace,
+    _childByFid: Object.create(null),
+    _frameNodes: [],
+
+    get totalTime() { return this.endTime; },
+
+    frameByUid: function(uid) {
+      return this.frames[uid];
+    },
+
+    /**
+     * Returns the node a frame of the source trace was merged into.
+     *
+     * @param {object} frame
+     */
+    nodeForFrame: function(frame) {
+      return this._frameNodes[frame.uid] || null;
+    }
+  };
+
+  function childNode(parent, frame, depth) {
+    var node = parent._childByFid[frame.fid];
+    if (!node) {
+      node = {
+        fid: frame.fid,
+        name: frame.name,
+        location: frame.location,
+        parameterNames: frame.parameterNames,
+        aggregated: frame.aggregated,
+        depth: depth,
+        count: 0,
+        totalTime: 0,
+        selfTime: 0,
+        children: [],
+        older: parent,
+        _childByFid: Object.create(null)
+      };
+      parent._childByFid[frame.fid] = node;
+      parent.children.push(node);
+      if (depth > root.maxDepth) {
+        root.maxDepth = depth;
+      }
+    }
+    return node;
+  }
+
+  var frames = trace.frames;
+  for (var i = 0; i < frames.length; ++i) {
+    var frame = frames[i];
+    var node;
+
+    if (!inverted) {
+      var parent = frame.older && frame.older !== trace
+        ? root._frameNodes[frame.older.uid]
+        : root;
+      node = childNode(parent, frame, frame.depth);
+      node.count++;
+      node.totalTime += frame.totalTime || 0;
+      node.selfTime += frame.selfTime || 0;
+    } else {
+      // Walk from the frame up to the root of its call tree, charging
+      // the frame's self time to every caller along the way. The frame
+      // itself is represented by the root node for its function.
+      var selfTime = frame.selfTime || 0;
+      var caller = root;
+      for (var older = frame, depth = 0;
+           older && older !== trace;
+           older = older.older, ++depth) {
+        caller = childNode(caller, older, depth);
+        caller.count++;
+        caller.totalTime += selfTime;
+        if (depth === 0) {
+          caller.selfTime += selfTime;
+          node = caller;
+        }
+      }
+    }
+
+    root._frameNodes[frame.uid] = node;
+  }
+
+  // Lay out the nodes in depth-first order, heaviest children first,
+  // and number them in that order.
+  var stack = [root];
+  root.endTime = 0;
+  while (stack.length) {
+    var current = stack.pop();
+    var children = current.children;
+    children.sort(function(a, b) { return b.totalTime - a.totalTime; });
+
+    var time = current.startTime;
+    for (var i = 0; i < children.length; ++i) {
+      var child = children[i];
+      child.startTime = time;
+      child.endTime = time + child.totalTime;
+      time = child.endTime;
+      if (i > 0) {
+        child.previous = children[i - 1];
+        children[i - 1].next = child;
+      }
+    }
+    if (current === root) {
+      root.endTime = time;
+    } else {
+      current.uid = root.frames.length;
+      root.frames.push(current);
+    }
+    delete current._childByFid;
+
+    for (var i = children.length - 1; i >= 0; --i) {
+      stack.push(children[i]);
+    }
+  }
+
+  return root;
+};
@@ -0,0 +1,174 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+// The view state shown when the hash does not say otherwise.
+var DEFAULT_VIEW_STATE = {
+  mode: "timeline",
+  focus: null,
+  left: 0,
+  right: 1,
+  selected: null,
+  query: "",
+  colors: "function"
+};
+
+/**
+ * Returns the URL hash, without "#", describing a view state returned
+ * by TraceGraph.getViewState. Properties with their default values are
+ * left out to keep links short.
+ *
+ * @param {object} state
+ * @return {string}
+ */
+function viewStateToHash(state) {
+  var params = new URLSearchParams();
+  for (var key in DEFAULT_VIEW_STATE) {
+    var value = state[key];
+    if (value === undefined || value === DEFAULT_VIEW_STATE[key]) {
+      continue;
+    }
+    if (key === "left" || key === "right") {
+      // Enough digits for a view of a few frames out of millions.
+      value = Number(value.toFixed(9));
+    }
+    params.set(key, value);
+  }
+  return params.toString();
+}
+
+/**
+ * Parses a URL hash made by viewStateToHash. Missing properties get
+ * their default values, and invalid ones are left out.
+ *
+ * @param {string} hash
+ *        The hash, with or without "#".
+ * @return {object}
+ */
+function viewStateFromHash(hash) {
+  var params = new URLSearchParams(hash.replace(/^#/, ""));
+  var state = {};
+  for (var key in DEFAULT_VIEW_STATE) {
+    var fallback = DEFAULT_VIEW_STATE[key];
+    if (!params.has(key)) {
+      state[key] = fallback;
+      continue;
+    }
+    var value = params.get(key);
+    if (typeof fallback === "string") {
+      state[key] = value;
+    } else if (value !== "" && isFinite(value)) {
+      state[key] = Number(value);
+    }
+  }
+  return state;
+}
+
+/**
+ * Keeps the hash of a window's URL describing the view state of a graph,
+ * so that it can be shared, and restores the state when the browser goes
+ * back or forward to another URL.
+ *
+ * Changes are written once the view has been still for a moment, each
+ * adding a history entry.
+ *
+ * @param {Window} win
+ */
+function Permalink(win) {
+  this._window = win;
+  this._graph = null;
+  this._timer = null;
+  this._replace = false;
+
+  this._update = this._update.bind(this);
+  this._onViewChanged = this._onViewChanged.bind(this);
+  this._onBoundsChanged = this._onBoundsChanged.bind(this);
+
+  win.addEventListener("popstate", this.restore.bind(this));
+}
+
+// How long the view must be still before the URL is updated, in ms.
+var PERMALINK_DELAY = 300;
+
+// The graph events that change the view state, besides "boundschanged".
+var VIEW_STATE_EVENTS = ["selected", "searchchanged", "colorschemechanged",
+                         "modechanged", "focuschanged"];
+
+Permalink.prototype = {
+  /**
+   * Restores the view state described by the URL, without adding a
+   * history entry.
+   */
+  restore: function() {
+    if (!this._graph) {
+      return;
+    }
+    this._graph.setViewState(viewStateFromHash(this._window.location.hash));
+    this._replace = true;
+    this._update();
+  },
+
+  /**
+   * Switches to describing another graph, such as the one in a newly
+   * selected tab. The URL is updated to its view state without adding a
+   * history entry.
+   *
+   * @param {TraceGraph} graph
+   *        The graph, or null for none.
+   */
+  setGraph: function(graph) {
+    if (this._graph) {
+      VIEW_STATE_EVENTS.forEach(function(event) {
+        this._graph.off(event, this._onViewChanged);
+      }, this);
+      this._graph.off("boundschanged", this._onBoundsChanged);
+    }
+    this._graph = graph;
+    if (graph) {
+      VIEW_STATE_EVENTS.forEach(function(event) {
+        graph.on(event, this._onViewChanged);
+      }, this);
+      graph.on("boundschanged", this._onBoundsChanged);
+    }
+    this._replace = true;
+    this._update();
+  },
+
+  _onViewChanged: function() {
+    if (!this._timer) {
+      this._timer = this._window.setTimeout(this._update, PERMALINK_DELAY);
+    }
+  },
+
+  _onBoundsChanged: function(ev, why) {
+    // Scrolling rows and the growth of live traces are not kept.
+    if (why !== "depth" && why !== "grow") {
+      this._onViewChanged();
+    }
+  },
+
+  _update: function() {
+    if (this._timer) {
+      this._window.clearTimeout(this._timer);
+      this._timer = null;
+    }
+    var graph = this._graph;
+    if (graph && !graph.displayed) {
+      return;
+    }
+
+    var win = this._window;
+    var hash = graph ? viewStateToHash(graph.getViewState()) : "";
+    if (hash !== win.location.hash.replace(/^#/, "")) {
+      var url = win.location.pathname + win.location.search + (hash ? "#" + hash : "");
+      if (this._replace) {
+        win.history.replaceState(null, "", url);
+      } else {
+        win.history.pushState(null, "", url);
+      }
+    }
+    this._replace = false;
+  }
+};
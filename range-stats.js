@@ -0,0 +1,266 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Aggregates the time spent in each function during a range of time.
+ * Frames are clipped to the range, so a frame half inside it counts for
+ * half its time. As in Trace, the total time of recursive calls is
+ * counted once per frame.
+ *
+ * @param {object} trace
+ *        A Trace, or a tree with the same shape.
+ * @param {number} startTime, endTime
+ * @return {array}
+ *         Entries with the fid, name and location of each function called
+ *         in the range, and the count of its frames in the range with
+ *         their clipped totalTime and selfTime.
+ */
+function rangeStatistics(trace, startTime, endTime) {
+  var byFid = [];
+  var entries = [];
+
+  function entryFor(frame) {
+    var entry = byFid[frame.fid];
+    if (!entry) {
+      entry = byFid[frame.fid] = {
+        fid: frame.fid,
+        name: frame.name,
+        location: frame.location,
+        count: 0,
+        totalTime: 0,
+        selfTime: 0
+      };
+      entries.push(entry);
+    }
+    return entry;
+  }
+
+  function endTimeOf(frame) {
+    return typeof frame.endTime === "number" ? frame.endTime : trace.endTime;
+  }
+
+  var stack = [trace];
+  while (stack.length) {
+    var frame = stack.pop();
+    var children = frame.children;
+
+    var idx = binarySearch(startTime, children, function(time, child) {
+      return typeof child.endTime === "number" ? time - child.endTime : -1;
+    });
+    if (idx < 0) {
+      idx = -(idx + 1);
+    }
+
+    for (var i = idx; i < children.length && children[i].startTime <= endTime; ++i) {
+      var child = children[i];
+      var childEndTime = endTimeOf(child);
+      var clipped = Math.min(endTime, childEndTime) - Math.max(startTime, child.startTime);
+      // Frames which only touch the range are not in it, unless the range
+      // is a single time.
+      if (clipped < 0 || (startTime < endTime &&
+                          (childEndTime <= startTime || child.startTime >= endTime))) {
+        continue;
+      }
+      var entry = entryFor(child);
+      entry.count++;
+      entry.totalTime += clipped;
+      entry.selfTime += clipped;
+      if (frame !== trace) {
+        byFid[frame.fid].selfTime -= clipped;
+      }
+      stack.push(child);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Panel describing the time range selected in a TraceGraph: its
+ * duration, a button to zoom to it, and a sortable table of the time
+ * spent in each function during it. Hidden while there is no range.
+ *
+ * @param {Element} element
+ *        The element to render the panel into.
+ * @param {TraceGraph} graph
+ */
+function RangePanel(element, graph) {
+  this.element = element;
+  this.document = element.ownerDocument;
+  this._graph = graph;
+
+  this._entries = [];
+  this._sortKey = "selfTime";
+  this._descending = true;
+
+  this._onRangeChanged = this._onRangeChanged.bind(this);
+  this._graph.on("rangechanged", this._onRangeChanged);
+
+  this._buildDOM();
+  this.element.hidden = true;
+}
+
+RangePanel.prototype = {
+  columns: [
+    { key: "name",      label: "Function" },
+    { key: "count",     label: "Calls", numeric: true },
+    { key: "selfTime",  label: "Self",  numeric: true, time: true },
+    { key: "totalTime", label: "Total", numeric: true, time: true },
+    { key: "location",  label: "Location" }
+  ],
+
+  /**
+   * Sorts the table by a column. Sorting by the current column again
+   * reverses the order.
+   *
+   * @param {string} key
+   *        One of the keys in this.columns.
+   */
+  sortBy: function(key) {
+    if (key === this._sortKey) {
+      this._descending = !this._descending;
+    } else {
+      this._sortKey = key;
+      this._descending = this.columns.some(function(column) {
+        return column.key === key && column.numeric;
+      });
+    }
+    this.render();
+  },
+
+  render: function() {
+    var range = this._graph.range;
+    this.element.hidden = !range;
+    if (!range) {
+      return;
+    }
+
+    var duration = range.endTime - range.startTime;
+    var precision = duration / 100 || 1e-6;
+    this._summary.textContent = "Selection: " + formatTimeWithUnit(duration, precision) +
+      ", from " + formatTimeWithUnit(range.startTime, precision) +
+      " to " + formatTimeWithUnit(range.endTime, precision);
+
+    var tbody = this._tbody;
+    while (tbody.hasChildNodes()) {
+      tbody.removeChild(tbody.firstChild);
+    }
+    this._updateHeaders();
+
+    var key = this._sortKey;
+    var sign = this._descending ? -1 : 1;
+    var self = this;
+    var entries = this._entries.slice().sort(function(a, b) {
+      var x = self._value(a, key);
+      var y = self._value(b, key);
+      if (x < y) return -sign;
+      if (x > y) return sign;
+      return a.fid - b.fid;
+    });
+
+    for (var i = 0; i < entries.length; ++i) {
+      tbody.appendChild(this._createRow(entries[i]));
+    }
+  },
+
+  _value: function(entry, key) {
+    switch (key) {
+      case "name":
+        return entry.name || "";
+      case "location":
+        return entry.location ? formatLocation(entry.location) : "";
+      default:
+        return entry[key] || 0;
+    }
+  },
+
+  _createRow: function(entry) {
+    var doc = this.document;
+    var row = doc.createElementNS(XHTML_NS, "tr");
+
+    for (var i = 0; i < this.columns.length; ++i) {
+      var column = this.columns[i];
+      var value = this._value(entry, column.key);
+      var cell = doc.createElementNS(XHTML_NS, "td");
+      cell.textContent = column.time ? formatTime(value) : value;
+      if (column.numeric) {
+        cell.className = "numeric";
+      }
+      row.appendChild(cell);
+    }
+
+    row.addEventListener("click", function() {
+      this._graph.highlightFunction(entry.fid);
+    }.bind(this));
+
+    return row;
+  },
+
+  _buildDOM: function() {
+    var doc = this.document;
+    var self = this;
+
+    var toolbar = doc.createElementNS(XHTML_NS, "div");
+    toolbar.className = "range-toolbar";
+
+    this._summary = doc.createElementNS(XHTML_NS, "span");
+    toolbar.appendChild(this._summary);
+
+    var zoom = doc.createElementNS(XHTML_NS, "button");
+    zoom.textContent = "Zoom to selection";
+    zoom.addEventListener("click", function() { self._graph.zoomToRange(); });
+    toolbar.appendChild(zoom);
+
+    var clear = doc.createElementNS(XHTML_NS, "button");
+    clear.textContent = "Clear";
+    clear.addEventListener("click", function() { self._graph.selectRange(null); });
+    toolbar.appendChild(clear);
+
+    var container = doc.createElementNS(XHTML_NS, "div");
+    container.className = "function-table-container";
+
+    var table = doc.createElementNS(XHTML_NS, "table");
+    table.className = "function-table";
+    var thead = doc.createElementNS(XHTML_NS, "thead");
+    var headerRow = doc.createElementNS(XHTML_NS, "tr");
+    this._headers = [];
+    this.columns.forEach(function(column) {
+      var th = doc.createElementNS(XHTML_NS, "th");
+      th.addEventListener("click", function() { self.sortBy(column.key); });
+      headerRow.appendChild(th);
+      self._headers.push(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    this._tbody = doc.createElementNS(XHTML_NS, "tbody");
+    table.appendChild(this._tbody);
+    container.appendChild(table);
+
+    this.element.appendChild(toolbar);
+    this.element.appendChild(container);
+    this._updateHeaders();
+  },
+
+  _updateHeaders: function() {
+    for (var i = 0; i < this.columns.length; ++i) {
+      var column = this.columns[i];
+      var label = column.label;
+      if (column.key === this._sortKey) {
+        label += this._descending ? " ▾" : " ▴";
+      }
+      this._headers[i].textContent = label;
+      this._headers[i].className = column.numeric ? "numeric" : "";
+    }
+  },
+
+  _onRangeChanged: function(ev, range) {
+    this._entries = range
+      ? rangeStatistics(this._graph.displayed, range.startTime, range.endTime)
+      : [];
+    this.render();
+  }
+};
@@ -0,0 +1,388 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Source maps, which map the locations of minified or compiled scripts
+ * back to their original sources, see
+ * https://sourcemaps.info/spec.html. Traces record the generated
+ * locations; remapTrace rebuilds a trace with the original ones.
+ *
+ * Trace locations have 1-based lines and 0-based columns, source maps
+ * 0-based lines and columns.
+ */
+
+var BASE64_DIGITS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * Decodes the "mappings" of a source map: the base64 VLQ segments of
+ * each generated line, whose fields are relative to the previous ones.
+ *
+ * @param {string} mappings
+ * @return {array}
+ *         For each generated line, its segments sorted by column, as
+ *         arrays of absolute fields: [column] for code mapped to no
+ *         source, or [column, source, line, column] and an optional name.
+ */
+function decodeMappings(mappings) {
+  var lines = [];
+  var line = [];
+  var fields = [0, 0, 0, 0, 0];
+  var segment = [];
+  var value = 0;
+  var shift = 0;
+
+  function endSegment() {
+    if (shift) {
+      throw new Error("Malformed source map: a number in the mappings is cut short");
+    }
+    if (!segment.length) {
+      return;
+    }
+    if (segment.length !== 1 && segment.length !== 4 && segment.length !== 5) {
+      throw new Error("Malformed source map: a segment has " + segment.length + " fields");
+    }
+    for (var i = 0; i < segment.length; ++i) {
+      fields[i] += segment[i];
+    }
+    line.push(fields.slice(0, segment.length));
+    segment = [];
+  }
+
+  function endLine() {
+    endSegment();
+    line.sort(function(a, b) { return a[0] - b[0]; });
+    lines.push(line);
+    line = [];
+    fields[0] = 0;
+  }
+
+  for (var i = 0; i < mappings.length; ++i) {
+    var c = mappings.charAt(i);
+    if (c === ",") {
+      endSegment();
+      continue;
+    }
+    if (c === ";") {
+      endLine();
+      continue;
+    }
+    var digit = BASE64_DIGITS.indexOf(c);
+    if (digit === -1) {
+      throw new Error("Malformed source map: unexpected " + JSON.stringify(c) + " in the mappings");
+    }
+    // Each digit holds 5 bits of the number, least significant first,
+    // and whether more follow. The lowest bit of the number is its sign.
+    value += (digit & 31) * Math.pow(2, shift);
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      var magnitude = Math.floor(value / 2);
+      segment.push(value % 2 ? -magnitude : magnitude);
+      value = 0;
+      shift = 0;
+    }
+  }
+  endLine();
+  return lines;
+}
+
+/**
+ * Resolves a URL against the URL of the file referring to it, leaving it
+ * as it is if either is relative to an unknown place.
+ */
+function resolveURL(url, base) {
+  try {
+    return new URL(url, base || undefined).href;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * @param {string|object} data
+ *        The source map, as JSON text or already parsed.
+ * @param {string} url
+ *        The URL of the source map, which its sources are relative to,
+ *        or null if it was opened from a file.
+ */
+function SourceMap(data, url) {
+  if (typeof data === "string") {
+    try {
+      // Maps may start with a line guarding against XSSI.
+      data = JSON.parse(data.replace(/^\)\]\}'[^\n]*\n/, ""));
+    } catch (ex) {
+      throw new Error("Malformed source map: " + ex.message);
+    }
+  }
+  if (!data || typeof data !== "object") {
+    throw new Error("Malformed source map: expected an object");
+  }
+  if (data.sections) {
+    throw new Error("Indexed source maps are not supported");
+  }
+  if (data.version !== 3) {
+    throw new Error("Unsupported source map version " + data.version + ", expected 3");
+  }
+  if (typeof data.mappings !== "string" || !Array.isArray(data.sources)) {
+    throw new Error("Malformed source map: expected sources and mappings");
+  }
+
+  var root = data.sourceRoot ? data.sourceRoot.replace(/\/?$/, "/") : "";
+  this.url = url || null;
+  this.file = data.file || null;
+  this.names = data.names || [];
+  this.sources = data.sources.map(function(source) {
+    return resolveURL(root + source, url);
+  });
+  this.sourcesContent = data.sourcesContent || [];
+  this._lines = decodeMappings(data.mappings);
+}
+
+SourceMap.prototype = {
+  /**
+   * Returns the original location of a generated one.
+   *
+   * @param {integer} line
+   *        The 1-based generated line.
+   * @param {integer} column
+   *        The 0-based generated column.
+   * @return {object}
+   *         The original url, line and column, like the generated ones,
+   *         and the original name of the code there if the map has it;
+   *         or null if the location maps to no source.
+   */
+  originalLocation: function(line, column) {
+    var segments = this._lines[line - 1];
+    if (!segments || !segments.length) {
+      return null;
+    }
+
+    // The segment covering a column is the last one starting at or
+    // before it.
+    var lo = 0, hi = segments.length - 1;
+    if (segments[0][0] > column) {
+      return null;
+    }
+    while (lo < hi) {
+      var mid = (lo + hi + 1) >> 1;
+      if (segments[mid][0] <= column) {
+        lo = mid;
+      } else {
+        hi = mid - 1;
+      }
+    }
+
+    var segment = segments[lo];
+    if (segment.length < 4 || !(segment[1] in this.sources)) {
+      return null;
+    }
+    var original = {
+      url: this.sources[segment[1]],
+      line: segment[2] + 1,
+      column: segment[3]
+    };
+    if (segment.length === 5 && segment[4] in this.names) {
+      original.name = this.names[segment[4]];
+    }
+    return original;
+  }
+};
+
+/**
+ * Returns the last part of the path of a URL.
+ */
+function urlBasename(url) {
+  return url.replace(/[?#].*$/, "").replace(/^.*\//, "");
+}
+
+/**
+ * The source maps of the scripts of traces, found by the URL of the
+ * script or, for maps opened from files, by its file name.
+ */
+function SourceMapSet() {
+  this._byUrl = new Map();
+  this._byName = new Map();
+}
+
+SourceMapSet.prototype = {
+  get size() { return this._byUrl.size + this._byName.size; },
+
+  /**
+   * @param {SourceMap} map
+   * @param {string} script
+   *        Optional. The URL or file name of the script the map is for.
+   *        The map's "file" names the script otherwise.
+   */
+  add: function(map, script) {
+    if (script && script.indexOf("/") !== -1) {
+      this._byUrl.set(script, map);
+      return;
+    }
+    var name = urlBasename(script || map.file || "");
+    if (name) {
+      this._byName.set(name, map);
+    }
+  },
+
+  /**
+   * Returns the source map of a script, or undefined if there is none.
+   *
+   * @param {string} url
+   */
+  get: function(url) {
+    return this._byUrl.get(url) || this._byName.get(urlBasename(url));
+  },
+
+  /**
+   * Returns the original location of a generated trace location, with
+   * the generated location as its "generated" property, or null if no
+   * map covers it.
+   *
+   * @param {object} location
+   *        A location of a trace: url, line and column.
+   * @return {object}
+   *         url, line, column and generated, and the original name of the
+   *         code there as name if known.
+   */
+  remap: function(location) {
+    var map = location && this.get(location.url);
+    var original = map && map.originalLocation(location.line, location.column);
+    if (!original) {
+      return null;
+    }
+    original.generated = { url: location.url, line: location.line, column: location.column };
+    return original;
+  }
+};
+
+/**
+ * Returns a copy of a finished trace with its function locations and
+ * names, and the callsites of its frames, remapped to the original
+ * sources. Locations no map covers are left as they are. The generated
+ * location of each remapped one is kept as its "generated" property.
+ *
+ * @param {Trace} trace
+ *        A trace with generated locations.
+ * @param {SourceMapSet} maps
+ * @param {boolean} groupByOriginal
+ *        Whether to aggregate the functions by their original location
+ *        rather than their generated one, see locationToString.
+ * @return {Trace}
+ */
+function remapTrace(trace, maps, groupByOriginal) {
+  var compact = trace.toCompact();
+  compact.functions = compact.functions.map(function(aggregated) {
+    var original = maps.remap(aggregated.location);
+    if (!original) {
+      return aggregated;
+    }
+    var name = original.name || aggregated.name;
+    delete original.name;
+    if (name !== aggregated.name) {
+      original.generated.name = aggregated.name;
+    }
+    return {
+      name: name,
+      location: original,
+      parameterNames: aggregated.parameterNames
+    };
+  });
+  compact.details = compact.details.map(function(details) {
+    var callsite = details && maps.remap(details.callsite);
+    if (!callsite) {
+      return details;
+    }
+    delete callsite.name;
+    var remapped = {};
+    for (var key in details) {
+      remapped[key] = details[key];
+    }
+    remapped.callsite = callsite;
+    return remapped;
+  });
+  return traceFromCompact(compact, groupByOriginal);
+}
+
+/**
+ * Returns the URL of the source map a script refers to with a
+ * sourceMappingURL comment, resolved against the script's URL, or null if
+ * it has none.
+ *
+ * @param {string} text
+ *        The script.
+ * @param {string} url
+ *        The URL of the script.
+ */
+function findSourceMappingURL(text, url) {
+  var pattern = /\/[\/*][#@]\s*sourceMappingURL=([^\s'"*]+)/g;
+  var last = null;
+  var match;
+  while ((match = pattern.exec(text))) {
+    last = match[1];
+  }
+  return last && resolveURL(last, url);
+}
+
+/**
+ * Loads the source maps the scripts of a trace refer to, for the scripts
+ * with none yet. The sources embedded in each map are given to the
+ * loader, so that the source pane doesn't need to load them.
+ *
+ * @param {Trace} trace
+ *        A trace with generated locations.
+ * @param {SourceMapSet} maps
+ * @param {SourceLoader} loader
+ *        Loads the scripts and the maps, from where the settings of the
+ *        source pane map them to.
+ * @return {Promise}
+ *         Resolved with the maps loaded and the errors of the scripts
+ *         whose maps could not be loaded.
+ */
+function loadReferencedSourceMaps(trace, maps, loader) {
+  var urls = [];
+  trace.functions.forEach(function(aggregated) {
+    // Leave out the likes of "self-hosted", which are not scripts.
+    var url = aggregated.location && aggregated.location.url;
+    if (/^[a-z][a-z0-9+.-]*:/i.test(url) && urls.indexOf(url) === -1 && !maps.get(url)) {
+      urls.push(url);
+    }
+  });
+
+  var result = { maps: [], errors: [] };
+  return Promise.all(urls.map(function(url) {
+    return loader.loadText(url).then(function(text) {
+      var mapUrl = findSourceMappingURL(text, url);
+      return mapUrl && loader.loadText(mapUrl).then(function(json) {
+        var map = new SourceMap(json, mapUrl);
+        addSourceMap(maps, loader, map, url);
+        result.maps.push(map);
+      });
+    }).catch(function(error) {
+      result.errors.push(error);
+    });
+  })).then(function() {
+    return result;
+  });
+}
+
+/**
+ * Adds a source map to a set, and gives the sources it embeds to a
+ * SourceLoader.
+ *
+ * @param {SourceMapSet} maps
+ * @param {SourceLoader} loader
+ * @param {SourceMap} map
+ * @param {string} script
+ *        Optional. See SourceMapSet.add.
+ */
+function addSourceMap(maps, loader, map, script) {
+  maps.add(map, script);
+  map.sources.forEach(function(url, i) {
+    if (typeof map.sourcesContent[i] === "string") {
+      loader.setText(url, map.sourcesContent[i]);
+    }
+  });
+}
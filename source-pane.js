@@ -0,0 +1,366 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+// The lines shown around a highlighted line of source.
+var SOURCE_LINES_BEFORE = 5;
+var SOURCE_LINES_AFTER = 15;
+
+// The localStorage key the source settings are saved under.
+var SOURCE_SETTINGS_KEY = "moz-trace-graph.sources";
+
+/**
+ * Loads the text of the scripts of traces. Their URLs are rarely
+ * readable by the page, so they are mapped to local ones: URLs starting
+ * with the prefix of a mapping have it replaced by the mapping's path,
+ * and other URLs have their path looked up under the source root. The
+ * settings are saved in localStorage, and shared by all the tabs.
+ *
+ * Emits "changed" when the settings change.
+ *
+ * @param {Storage} storage
+ *        Optional. Where to save the settings.
+ */
+function SourceLoader(storage) {
+  EventEmitter.decorate(this);
+  this._storage = storage || null;
+  this._cache = new Map(); // resolved URL -> promise of text
+  this._lines = new Map(); // resolved URL -> promise of lines
+  this._texts = new Map(); // URL -> text known without loading it
+  this.root = "";
+  this.mappings = [];
+
+  var saved = null;
+  try {
+    saved = this._storage && JSON.parse(this._storage.getItem(SOURCE_SETTINGS_KEY));
+  } catch (e) {
+    // Settings which can't be read are left at their defaults.
+  }
+  if (saved) {
+    this.root = saved.root || "";
+    this.mappings = saved.mappings || [];
+  }
+}
+
+SourceLoader.prototype = {
+  /**
+   * Changes where scripts are loaded from.
+   *
+   * @param {string} root
+   *        The URL or path scripts are found under, or "" to load them
+   *        from their own URLs.
+   * @param {array} mappings
+   *        [{ prefix, path }], tried in order before the root.
+   */
+  setSettings: function(root, mappings) {
+    this.root = root;
+    this.mappings = mappings;
+    this._cache.clear();
+    this._lines.clear();
+    if (this._storage) {
+      try {
+        this._storage.setItem(SOURCE_SETTINGS_KEY, JSON.stringify({ root: root, mappings: mappings }));
+      } catch (e) {
+        // Storage may be full or disabled; the settings last until reload.
+      }
+    }
+    this.emit("changed");
+  },
+
+  /**
+   * Returns the URL a script is loaded from.
+   *
+   * @param {string} url
+   *        The script's URL in the trace.
+   * @return {string}
+   */
+  resolve: function(url) {
+    if (/^(data|blob):/.test(url)) {
+      return url;
+    }
+    for (var i = 0; i < this.mappings.length; ++i) {
+      var mapping = this.mappings[i];
+      if (mapping.prefix && url.startsWith(mapping.prefix)) {
+        return mapping.path + url.slice(mapping.prefix.length);
+      }
+    }
+    if (!this.root) {
+      return url;
+    }
+    var path = url;
+    var match = /^[a-z][a-z0-9+.-]*:\/\/[^\/]*(\/[^?#]*)/i.exec(url);
+    if (match) {
+      path = match[1];
+    }
+    return this.root.replace(/\/+$/, "") + "/" + path.replace(/^\/+/, "");
+  },
+
+  /**
+   * Gives the text of a file, which is then never loaded, such as the
+   * sources embedded in a source map.
+   *
+   * @param {string} url
+   * @param {string} text
+   */
+  setText: function(url, text) {
+    this._texts.set(url, text);
+    this._lines.delete(url);
+  },
+
+  /**
+   * Loads a file, once for each URL it resolves to.
+   *
+   * @param {string} url
+   *        The file's URL in the trace.
+   * @return {Promise}
+   *         Resolved with the text of the file, or rejected with an
+   *         error naming the URL it was loaded from.
+   */
+  loadText: function(url) {
+    if (this._texts.has(url)) {
+      return Promise.resolve(this._texts.get(url));
+    }
+    var resolved = this.resolve(url);
+    var text = this._cache.get(resolved);
+    if (!text) {
+      text = fetch(resolved).then(function(response) {
+        if (!response.ok) {
+          throw new Error(response.status + " " + response.statusText);
+        }
+        return response.text();
+      }).catch(function(error) {
+        throw new Error("Could not load " + resolved + ": " + error.message);
+      });
+      this._cache.set(resolved, text);
+    }
+    return text;
+  },
+
+  /**
+   * Loads a script, see loadText. Its lines are split once.
+   *
+   * @param {string} url
+   * @return {Promise}
+   *         Resolved with the lines of the script.
+   */
+  load: function(url) {
+    // Given texts are kept apart from the loaded ones by their own URL.
+    var key = this._texts.has(url) ? url : this.resolve(url);
+    var lines = this._lines.get(key);
+    if (!lines) {
+      lines = this.loadText(url).then(function(text) {
+        return text.split(/\r\n?|\n/);
+      });
+      this._lines.set(key, lines);
+    }
+    return lines;
+  }
+};
+
+/**
+ * Returns the total self time of the functions defined on each line of
+ * a script.
+ *
+ * @param {Trace} trace
+ * @param {string} url
+ * @return {Map}
+ *         Line number -> self time.
+ */
+function lineSelfTimes(trace, url) {
+  var times = new Map();
+  trace.functions.forEach(function(aggregated) {
+    var location = aggregated.location;
+    if (location && location.url === url && aggregated.selfTime) {
+      times.set(location.line, (times.get(location.line) || 0) + aggregated.selfTime);
+    }
+  });
+  return times;
+}
+
+/**
+ * Panel showing the source of the frame selected in a TraceGraph: the
+ * line its function is defined on and, for calls in the timeline, the
+ * line of the caller which called it. The gutter shows the self time of
+ * the functions defined on each line.
+ *
+ * @param {Element} element
+ *        The element to render the panel into.
+ * @param {TraceGraph} graph
+ * @param {SourceLoader} loader
+ */
+function SourcePane(element, graph, loader) {
+  this.element = element;
+  this.document = element.ownerDocument;
+  this._graph = graph;
+  this._loader = loader;
+  this._trace = null;
+  this._generation = 0;
+
+  this.render = this.render.bind(this);
+  this._graph.on("selected", this.render);
+  this._graph.on("finished", this.render);
+  this._loader.on("changed", this.render);
+
+  this._buildDOM();
+}
+
+SourcePane.prototype = {
+  setTrace: function(trace) {
+    this._trace = trace;
+    this.render();
+  },
+
+  destroy: function() {
+    this._loader.off("changed", this.render);
+  },
+
+  render: function() {
+    var content = this._content;
+    while (content.hasChildNodes()) {
+      content.removeChild(content.firstChild);
+    }
+
+    // Sources which load after the selection changed are dropped.
+    var generation = ++this._generation;
+    var graph = this._graph;
+    var selected = graph.selected;
+    this.element.hidden = !selected || !selected.location;
+    if (this.element.hidden) {
+      return;
+    }
+
+    content.appendChild(this._createSection("Defined at", selected.location, generation));
+    var frame = graph.traceFrame(selected);
+    if (frame && frame.callsite) {
+      content.appendChild(this._createSection("Called from", frame.callsite, generation));
+    }
+  },
+
+  /**
+   * Returns the element showing the lines around a location, which are
+   * filled in once the script loads.
+   */
+  _createSection: function(heading, location, generation) {
+    var section = this._createElement("div", "source-section");
+    var title = this._createElement("div", "source-heading", heading);
+    title.appendChild(this._createElement("span", "source-location", formatLocation(location)));
+    section.appendChild(title);
+
+    var status = this._createElement("div", "source-note", "Loading…");
+    section.appendChild(status);
+
+    this._loader.load(location.url).then(function(lines) {
+      if (generation === this._generation) {
+        section.replaceChild(this._createLines(lines, location), status);
+      }
+    }.bind(this), function(error) {
+      status.textContent = error.message + ". Set the source root or a mapping to where the script is.";
+      status.className = "source-note source-error";
+    });
+    return section;
+  },
+
+  _createLines: function(lines, location) {
+    var times = this._trace ? lineSelfTimes(this._trace, location.url) : new Map();
+    var maxTime = 0;
+    times.forEach(function(time) {
+      maxTime = Math.max(maxTime, time);
+    });
+
+    var first = Math.max(1, location.line - SOURCE_LINES_BEFORE);
+    var last = Math.min(lines.length, location.line + SOURCE_LINES_AFTER);
+    if (first > last) {
+      return this._createElement("div", "source-note",
+                                 "The script has only " + lines.length + " lines.");
+    }
+
+    var table = this._createElement("table", "source-lines");
+    for (var line = first; line <= last; ++line) {
+      var row = this._createElement("tr", line === location.line ? "source-current" : "");
+
+      var time = times.get(line);
+      var gutter = this._createElement("td", "source-time", time ? formatTime(time) : "");
+      if (time) {
+        gutter.style.backgroundColor = "rgba(255, 80, 0, " + (0.1 + 0.5 * time / maxTime).toFixed(2) + ")";
+        gutter.title = "Self time of the functions defined on this line";
+      }
+      row.appendChild(gutter);
+      row.appendChild(this._createElement("td", "source-number", String(line)));
+
+      var code = this._createElement("td", "source-code");
+      var text = lines[line - 1];
+      if (line === location.line && location.column < text.length) {
+        // Point out where on the line the function or call starts.
+        code.appendChild(this.document.createTextNode(text.slice(0, location.column)));
+        code.appendChild(this._createElement("span", "source-column", text[location.column]));
+        code.appendChild(this.document.createTextNode(text.slice(location.column + 1)));
+      } else {
+        code.textContent = text;
+      }
+      row.appendChild(code);
+      table.appendChild(row);
+    }
+    return table;
+  },
+
+  _buildDOM: function() {
+    var doc = this.document;
+    var loader = this._loader;
+
+    var settings = this._createElement("details", "source-settings");
+    settings.appendChild(this._createElement("summary", "", "Source locations"));
+
+    var rootLabel = this._createElement("label", "", "Source root: ");
+    var root = this._createElement("input");
+    root.type = "text";
+    root.placeholder = "e.g. http://localhost:8000/src";
+    rootLabel.appendChild(root);
+    settings.appendChild(rootLabel);
+
+    var mappingsLabel = this._createElement("label", "", "Mappings, one \"URL prefix = path\" per line:");
+    var mappings = this._createElement("textarea");
+    mappings.rows = 3;
+    mappings.placeholder = "https://example.com/static/ = http://localhost:8000/";
+    mappingsLabel.appendChild(mappings);
+    settings.appendChild(mappingsLabel);
+
+    var apply = this._createElement("button", "", "Apply");
+    apply.addEventListener("click", function() {
+      loader.setSettings(root.value.trim(), mappings.value.split("\n").map(function(line) {
+        var separator = line.indexOf(" = ");
+        return separator === -1 ? null : {
+          prefix: line.slice(0, separator).trim(),
+          path: line.slice(separator + 3).trim()
+        };
+      }).filter(Boolean));
+    });
+    settings.appendChild(apply);
+
+    // Show the settings as they are now each time they're opened, since
+    // other tabs may have changed them.
+    settings.addEventListener("toggle", function() {
+      root.value = loader.root;
+      mappings.value = loader.mappings.map(function(mapping) {
+        return mapping.prefix + " = " + mapping.path;
+      }).join("\n");
+    });
+
+    this._content = doc.createElementNS(XHTML_NS, "div");
+    this.element.appendChild(settings);
+    this.element.appendChild(this._content);
+    this.render();
+  },
+
+  _createElement: function(tagName, className, text) {
+    var element = this.document.createElementNS(XHTML_NS, tagName);
+    if (className) {
+      element.className = className;
+    }
+    if (text) {
+      element.textContent = text;
+    }
+    return element;
+  }
+};
@@ -0,0 +1,136 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+var assert = require("assert");
+var test = require("node:test");
+
+var helpers = require("./helpers");
+
+// trace-graph.js has frameExitKind, and reads the pixel ratio as it loads.
+var context = helpers.loadScripts(
+  helpers.TRACE_SCRIPTS.concat(["trace-graph.js", "activations.js"]),
+  { window: { devicePixelRatio: 1 } });
+
+var GENERATOR = 0;
+var OTHER = 1;
+
+/**
+ * Returns a trace of top-level frames, each [fid, arguments, startTime,
+ * endTime, exit] where exit is "yield" or "return", with optional
+ * children in the same form.
+ */
+function makeTrace(frames) {
+  function toFrame(spec) {
+    var frame = {
+      fid: spec[0],
+      arguments: spec[1],
+      startTime: spec[2],
+      endTime: spec[3],
+      children: (spec[5] || []).map(toFrame)
+    };
+    frame[spec[4]] = null;
+    return frame;
+  }
+  return context.parseTrace({
+    functions: [{ name: "gen" }, { name: "other" }],
+    children: frames.map(toFrame)
+  });
+}
+
+/**
+ * Returns the UIDs of the segments of each activation.
+ */
+function segmentUids(result) {
+  return Array.from(result.activations, function(activation) {
+    return Array.from(activation.segments, function(frame) {
+      return frame.uid;
+    });
+  });
+}
+
+test("interleaved generators with different arguments are told apart", function() {
+  var trace = makeTrace([
+    [GENERATOR, [1], 0, 2, "yield"],   // uid 0, activation A
+    [GENERATOR, [2], 3, 4, "yield"],   // uid 1, activation B
+    [OTHER, [], 5, 6, "return"],       // uid 2
+    [GENERATOR, [1], 7, 10, "yield"],  // uid 3, A
+    [GENERATOR, [2], 11, 12, "return"],// uid 4, B
+    [GENERATOR, [1], 13, 14, "return"] // uid 5, A
+  ]);
+  var result = context.stitchActivations(trace);
+
+  assert.deepStrictEqual(segmentUids(result), [[0, 3, 5], [1, 4]]);
+  var a = result.activations[0];
+  var b = result.activations[1];
+  assert.strictEqual(a.wallTime, 14);
+  assert.strictEqual(a.runningTime, 6);
+  assert.strictEqual(b.wallTime, 9);
+  assert.strictEqual(b.runningTime, 2);
+  assert.strictEqual(a.suspended, false);
+  assert.strictEqual(b.suspended, false);
+
+  assert.strictEqual(result.byUid[3], a);
+  assert.strictEqual(result.byUid[4], b);
+  assert.strictEqual(result.byUid[2], undefined);
+  assert.strictEqual(result.byFid[GENERATOR].count, 2);
+  assert.strictEqual(result.byFid[GENERATOR].wallTime, 23);
+  assert.strictEqual(result.byFid[GENERATOR].runningTime, 8);
+});
+
+test("a generator never resumed again ends suspended", function() {
+  var trace = makeTrace([
+    [GENERATOR, ["x"], 0, 1, "yield"],
+    [GENERATOR, ["x"], 2, 3, "yield"]
+  ]);
+  var result = context.stitchActivations(trace);
+
+  assert.deepStrictEqual(segmentUids(result), [[0, 1]]);
+  assert.strictEqual(result.activations[0].suspended, true);
+});
+
+test("activations of the same function and arguments resume in the order they were suspended", function() {
+  var trace = makeTrace([
+    [GENERATOR, [1], 0, 1, "yield"],   // uid 0, first suspended
+    [GENERATOR, [1], 2, 3, "yield"],   // uid 1, resumes the first
+    [GENERATOR, [1], 4, 5, "return"]   // uid 2, resumes the first again
+  ]);
+  var result = context.stitchActivations(trace);
+
+  // Nothing tells a new activation from a resumed one, so every segment
+  // resumes the activation suspended first.
+  assert.deepStrictEqual(segmentUids(result), [[0, 1, 2]]);
+
+  trace = makeTrace([
+    [OTHER, [], 0, 10, "return", [
+      [GENERATOR, [1], 1, 2, "yield"], // uid 1, activation A
+      [GENERATOR, [1], 3, 4, "yield"]  // uid 2, resumes A
+    ]],
+    [OTHER, [], 11, 20, "return", [
+      [GENERATOR, [1], 12, 13, "yield"],  // uid 4, resumes A
+      [GENERATOR, [1], 14, 15, "return"]  // uid 5, resumes A
+    ]]
+  ]);
+  result = context.stitchActivations(trace);
+  assert.deepStrictEqual(segmentUids(result), [[1, 2, 4, 5]]);
+});
+
+test("recursive calls with equal arguments during a segment are not stitched to it", function() {
+  var trace = makeTrace([
+    [GENERATOR, [1], 0, 1, "yield"],     // uid 0, activation A
+    [GENERATOR, [1], 2, 10, "yield", [   // uid 1, resumes A
+      [GENERATOR, [1], 3, 4, "yield"]    // uid 2, starts during A's segment
+    ]],
+    [GENERATOR, [1], 11, 12, "return"]   // uid 3
+  ]);
+  var result = context.stitchActivations(trace);
+
+  // The nested call started while uid 1 ran, so it can't resume A; it is
+  // a new activation, which the last segment resumes first as it was
+  // suspended first.
+  assert.deepStrictEqual(segmentUids(result), [[0, 1], [2, 3]]);
+  assert.strictEqual(result.byUid[2], result.activations[1]);
+  assert.strictEqual(result.activations[0].suspended, true);
+});
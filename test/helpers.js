@@ -0,0 +1,46 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Shared by the tests, which run with `node --test test/`.
+ */
+
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+var ROOT = path.join(__dirname, "..");
+
+/**
+ * Loads the viewer's scripts, which are written for the browser, into a
+ * context of their own, in the order the page loads them.
+ *
+ * @param {array} files
+ *        The scripts, relative to the root of the repository.
+ * @param {object} globals
+ *        Optional. Globals of the page the scripts use as they load,
+ *        such as window.
+ * @return {object}
+ *         The context, whose properties are the scripts' globals.
+ */
+function loadScripts(files, globals) {
+  var context = vm.createContext(Object.assign({}, globals));
+  files.forEach(function(file) {
+    var filename = path.join(ROOT, file);
+    vm.runInContext(fs.readFileSync(filename, "utf8"), context, { filename: filename });
+  });
+  return context;
+}
+
+/**
+ * The scripts needed to parse traces.
+ */
+var TRACE_SCRIPTS = ["event-emitter.js", "trace.js", "trace-importers.js", "trace-parser.js"];
+
+module.exports = {
+  loadScripts: loadScripts,
+  TRACE_SCRIPTS: TRACE_SCRIPTS
+};
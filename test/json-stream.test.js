@@ -0,0 +1,71 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+var assert = require("assert");
+var test = require("node:test");
+
+var helpers = require("./helpers");
+
+var context = helpers.loadScripts(["json-stream.js"]);
+
+/**
+ * Parses text with a JSONStreamParser, written in two chunks split at
+ * the given index.
+ */
+function parseInChunks(text, split) {
+  var parser = new context.JSONStreamParser();
+  parser.write(text.slice(0, split));
+  parser.write(text.slice(split));
+  return parser.end();
+}
+
+/**
+ * Asserts that text parses, or fails to, the same way as with JSON.parse,
+ * however it is split into chunks.
+ */
+function assertParsesLikeJSON(text) {
+  var expected;
+  try {
+    expected = JSON.parse(text);
+  } catch (ex) {
+    expected = ex;
+  }
+  for (var split = 0; split <= text.length; ++split) {
+    var message = JSON.stringify(text) + " split at " + split;
+    if (expected instanceof SyntaxError) {
+      assert.throws(function() {
+        parseInChunks(text, split);
+      }, function(error) {
+        return error.name === "SyntaxError";
+      }, message);
+    } else {
+      // Values from the context's realm compare by their JSON.
+      assert.strictEqual(JSON.stringify(parseInChunks(text, split)), JSON.stringify(expected),
+                         message);
+    }
+  }
+}
+
+test("parses values like JSON.parse", function() {
+  [
+    "[true, false, null]",
+    "{\"a\": [1, -2.5e3, \"x\\ny\"], \"b\": {}}",
+    "\"\\u0041\\\\\\\"\""
+  ].forEach(assertParsesLikeJSON);
+});
+
+test("rejects names which are not literals", function() {
+  ["[constructor]", "[toString]", "{\"a\": valueOf}", "__proto__"].forEach(assertParsesLikeJSON);
+});
+
+test("rejects control characters in strings and keys", function() {
+  [
+    "[\"a\nb\"]",
+    "[\"a\tb\\n\"]",
+    "{\"a\u0000\": 1}",
+    "\"\u001f\""
+  ].forEach(assertParsesLikeJSON);
+});
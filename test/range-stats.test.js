@@ -0,0 +1,66 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+var assert = require("assert");
+var test = require("node:test");
+
+var helpers = require("./helpers");
+
+// trace-graph.js has binarySearch, and reads the pixel ratio as it loads.
+var context = helpers.loadScripts(
+  helpers.TRACE_SCRIPTS.concat(["trace-graph.js", "range-stats.js"]),
+  { window: { devicePixelRatio: 1 } });
+
+var MAIN = 0;
+var BEFORE = 1;
+var INSIDE = 2;
+var AFTER = 3;
+
+/**
+ * Returns a trace of one frame from 0 to 30 calling a function before,
+ * during and after the range from 10 to 20, which the first and last
+ * calls end and start on.
+ */
+function sampleTrace() {
+  function frame(fid, startTime, endTime) {
+    return { fid: fid, startTime: startTime, endTime: endTime, children: [] };
+  }
+  var main = frame(MAIN, 0, 30);
+  main.children = [
+    frame(BEFORE, 5, 10),
+    frame(INSIDE, 12, 14),
+    frame(INSIDE, 15, 15),
+    frame(AFTER, 20, 25)
+  ];
+  return context.parseTrace({
+    functions: [{ name: "main" }, { name: "before" }, { name: "inside" }, { name: "after" }],
+    children: [main]
+  });
+}
+
+/**
+ * Returns the statistics of a range as [name, count, totalTime, selfTime]
+ * sorted by name.
+ */
+function statistics(trace, startTime, endTime) {
+  return Array.from(context.rangeStatistics(trace, startTime, endTime), function(entry) {
+    return [entry.name, entry.count, entry.totalTime, entry.selfTime];
+  }).sort();
+}
+
+test("frames touching the edges of the range are not in it", function() {
+  assert.deepStrictEqual(statistics(sampleTrace(), 10, 20), [
+    ["inside", 2, 2, 2],
+    ["main", 1, 10, 8]
+  ]);
+});
+
+test("frames at the time of an empty range are in it", function() {
+  assert.deepStrictEqual(statistics(sampleTrace(), 10, 10), [
+    ["before", 1, 0, 0],
+    ["main", 1, 0, 0]
+  ]);
+});
@@ -0,0 +1,68 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+var assert = require("assert");
+var http = require("http");
+var test = require("node:test");
+
+var replayServer = require("../tools/replay-server");
+
+/**
+ * Serves the viewer on a free port while the callback runs, and resolves
+ * with the callback's result.
+ */
+function withServer(callback) {
+  var server = http.createServer(replayServer.serveFile);
+  return new Promise(function(resolve) {
+    server.listen(0, "127.0.0.1", resolve);
+  }).then(function() {
+    return callback(server.address().port);
+  }).then(function(result) {
+    server.close();
+    return result;
+  }, function(error) {
+    server.close();
+    throw error;
+  });
+}
+
+/**
+ * Resolves with the status code of a GET request for a raw path.
+ */
+function getStatus(port, pathname) {
+  return new Promise(function(resolve, reject) {
+    http.get({ host: "127.0.0.1", port: port, path: pathname }, function(response) {
+      response.resume();
+      resolve(response.statusCode);
+    }).on("error", reject);
+  });
+}
+
+test("serveFile serves the viewer's files", function() {
+  return withServer(function(port) {
+    return Promise.all([
+      getStatus(port, "/"),
+      getStatus(port, "/trace.js"),
+      getStatus(port, "/missing.js")
+    ]);
+  }).then(function(statuses) {
+    assert.deepStrictEqual(statuses, [200, 200, 404]);
+  });
+});
+
+test("serveFile answers malformed paths with 400 and keeps serving", function() {
+  return withServer(function(port) {
+    return getStatus(port, "/%E0%A4%A").then(function(malformed) {
+      return getStatus(port, "/a%00b").then(function(nul) {
+        return getStatus(port, "/trace.js").then(function(after) {
+          return [malformed, nul, after];
+        });
+      });
+    });
+  }).then(function(statuses) {
+    assert.deepStrictEqual(statuses, [400, 400, 200]);
+  });
+});
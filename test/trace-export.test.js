@@ -0,0 +1,108 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+var assert = require("assert");
+var test = require("node:test");
+
+var helpers = require("./helpers");
+
+var context = helpers.loadScripts(["data.js"].concat(helpers.TRACE_SCRIPTS));
+
+// Times go through microseconds and back, or are rounded when folded.
+var EPSILON = 1e-6;
+
+function sampleTrace() {
+  return context.parseTrace(context.DATA);
+}
+
+/**
+ * Returns the time of the calls at the bottom of the stack.
+ */
+function rootTotalTime(trace) {
+  return trace.children.reduce(function(sum, frame) {
+    return sum + frame.totalTime;
+  }, 0);
+}
+
+test("toChromeTrace round-trips through parseTrace", function() {
+  var trace = sampleTrace();
+  var imported = context.parseTrace(trace.toChromeTrace());
+
+  assert.strictEqual(imported.frames.length, trace.frames.length);
+  for (var i = 0; i < trace.frames.length; ++i) {
+    var expected = trace.frames[i];
+    var actual = imported.frames[i];
+    var message = "frame " + i;
+    assert.strictEqual(actual.uid, expected.uid, message);
+    assert.strictEqual(actual.depth, expected.depth, message);
+    assert.strictEqual(actual.name, expected.name, message);
+    assert.ok(Math.abs(actual.totalTime - expected.totalTime) < EPSILON,
+              message + ": " + actual.totalTime + " != " + expected.totalTime);
+  }
+});
+
+test("toChromeTrace keeps the nesting of calls taking no time", function() {
+  var trace = context.parseTrace({
+    functions: [{ name: "outer" }, { name: "inner" }, { name: "next" }],
+    children: [
+      { fid: 0, startTime: 1, endTime: 1, children: [
+        { fid: 1, startTime: 1, endTime: 1, children: [] }
+      ] },
+      { fid: 2, startTime: 1, endTime: 2, children: [] }
+    ]
+  });
+  var imported = context.parseTrace(trace.toChromeTrace());
+
+  // Array.from makes an array of this context, which deepStrictEqual
+  // requires.
+  assert.deepStrictEqual(Array.from(imported.frames, function(frame) {
+    return frame.name + "@" + frame.depth;
+  }), ["outer@0", "inner@1", "next@0"]);
+});
+
+test("toFoldedStacks adds up to the total time", function() {
+  var trace = sampleTrace();
+  var lines = trace.toFoldedStacks().trim().split("\n");
+
+  var sum = 0;
+  var stacks = new Set();
+  lines.forEach(function(line) {
+    var match = /^(.+) (\d+(?:\.\d+)?)$/.exec(line);
+    assert.ok(match, "malformed line: " + line);
+    assert.ok(!stacks.has(match[1]), "repeated stack: " + match[1]);
+    stacks.add(match[1]);
+    sum += Number(match[2]);
+  });
+
+  // Each line's time is rounded to a microsecond.
+  var tolerance = lines.length * 0.0005 + EPSILON;
+  var total = rootTotalTime(trace);
+  assert.ok(Math.abs(sum - total) <= tolerance, sum + " != " + total);
+});
+
+test("toSpeedscope opens and closes each frame", function() {
+  var trace = sampleTrace();
+  var profile = JSON.parse(trace.toSpeedscope());
+  var events = profile.profiles[0].events;
+
+  assert.strictEqual(profile.shared.frames.length, trace.functions.length);
+  var stack = [];
+  var opened = 0;
+  events.forEach(function(event, i) {
+    if (event.type === "O") {
+      stack.push(event.frame);
+      opened++;
+    } else {
+      assert.strictEqual(event.type, "C", "event " + i);
+      assert.strictEqual(event.frame, stack.pop(), "event " + i);
+    }
+    if (i) {
+      assert.ok(event.at >= events[i - 1].at, "event " + i + " goes back in time");
+    }
+  });
+  assert.strictEqual(stack.length, 0);
+  assert.strictEqual(opened, trace.frames.length);
+});
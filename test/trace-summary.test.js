@@ -0,0 +1,78 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+var assert = require("assert");
+var test = require("node:test");
+
+var helpers = require("./helpers");
+
+var context = helpers.loadScripts(helpers.TRACE_SCRIPTS.concat(["trace-summary.js"]));
+
+var ROOT = 0;
+var LONG = 1;
+var SHORT = 2;
+
+/**
+ * Returns a trace with one long frame calling many short ones, which
+ * alternate between a function taking most of their time and one
+ * taking little, so that merged blocks are represented by the first.
+ */
+function sampleTrace() {
+  var children = [];
+  for (var i = 0; i < 1000; ++i) {
+    var fid = i % 2 ? SHORT : LONG;
+    children.push({
+      fid: fid,
+      startTime: i,
+      endTime: i + (fid === LONG ? 0.8 : 0.1),
+      children: []
+    });
+  }
+  return context.parseTrace({
+    functions: [{ name: "root" }, { name: "long" }, { name: "short" }],
+    children: [{ fid: ROOT, startTime: 0, endTime: 1000, children: children }]
+  });
+}
+
+test("indexOf finds frames in level 0 of their depth", function() {
+  var trace = sampleTrace();
+  var summary = new context.TraceSummary(trace);
+
+  trace.frames.forEach(function(frame) {
+    var index = summary.indexOf(frame);
+    assert.strictEqual(summary.depths[frame.depth][0].reps[index], frame.uid);
+  });
+});
+
+test("blockCount counts every frame of merged blocks", function() {
+  var trace = sampleTrace();
+  var summary = new context.TraceSummary(trace);
+  var counts = summary.countFrames(function(frame) {
+    return frame.fid === SHORT;
+  });
+  var levels = summary.depths[1];
+  var base = levels[0];
+  assert.ok(levels.length > 1, "frames are merged");
+
+  var hidden = 0;
+  levels.forEach(function(level) {
+    for (var i = 0; i < level.length; ++i) {
+      var expected = 0;
+      for (var j = level.firsts[i]; j < level.firsts[i] + level.counts[i]; ++j) {
+        assert.ok(base.startTimes[j] >= level.startTimes[i] &&
+                  base.endTimes[j] <= level.endTimes[i], "block holds its frames");
+        if (trace.frames[base.reps[j]].fid === SHORT) {
+          expected++;
+        }
+      }
+      assert.strictEqual(summary.blockCount(counts, 1, level, i), expected);
+      if (expected && trace.frames[level.reps[i]].fid !== SHORT) {
+        hidden++;
+      }
+    }
+  });
+  assert.ok(hidden > 0, "some blocks are represented by another function");
+});
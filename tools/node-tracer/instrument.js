@@ -0,0 +1,544 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Source transform inserting tracing calls into JavaScript functions.
+ *
+ * The body of every instrumented function is moved into an arrow
+ * function, which keeps `this`, `arguments`, `super` and `new.target`
+ * working as before, and the original body calls the tracer with it:
+ *
+ *   function f(a, b) { BODY }
+ *   function f(a, b) { return __traceGraph$(ID, arguments, (a, b) => { BODY }, [a, b]); }
+ *
+ * Parameters are passed on so that `var` declarations in the body which
+ * repeat a parameter name still see its value. Nothing is inserted on
+ * new lines, so line numbers are kept.
+ *
+ * Function declarations and expressions, methods, getters and setters,
+ * and arrow functions with block bodies are instrumented; async
+ * functions are traced until they return their promise. Generators,
+ * arrow functions with expression bodies and methods with computed names
+ * are left alone.
+ *
+ * This is a token-level transform rather than a full parser: it only
+ * needs to find function heads and matching braces.
+ */
+
+"use strict";
+
+var TRACE_FUNCTION = "__traceGraph$";
+
+var PUNCTUATORS = [
+  ">>>=", "...", "===", "!==", "**=", "<<=", ">>=", ">>>", "&&=", "||=",
+  "??=", "=>", "==", "!=", "<=", ">=", "&&", "||", "??", "?.", "++", "--",
+  "+=", "-=", "*=", "/=", "%=", "&=", "|=", "^=", "**", "<<", ">>"
+];
+
+// Keywords after which a "/" starts a regular expression.
+var EXPRESSION_KEYWORDS = [
+  "return", "typeof", "instanceof", "in", "of", "new", "delete", "void",
+  "throw", "case", "do", "else", "yield", "await", "extends"
+];
+
+// Keywords which may be followed by a parenthesized list and a block,
+// but do not start a method.
+var STATEMENT_KEYWORDS = [
+  "if", "for", "while", "switch", "catch", "with", "function", "return",
+  "typeof", "await", "yield", "new", "delete", "void", "in", "of"
+];
+
+var METHOD_MODIFIERS = ["get", "set", "static", "async"];
+
+function isIdentifierStart(ch) {
+  return /[A-Za-z_$\u0080-\uffff]/.test(ch);
+}
+
+function isIdentifierPart(ch) {
+  return /[\w$\u0080-\uffff]/.test(ch);
+}
+
+/**
+ * Splits source text into tokens, skipping whitespace and comments.
+ * Template literals are returned as "template" tokens covering the
+ * literal text, with the code in their substitutions tokenized normally.
+ *
+ * @param {string} source
+ * @return {array}
+ *         Tokens with type, value, start and end properties.
+ * @throws {SyntaxError}
+ *         For unterminated strings, comments, templates and regular
+ *         expressions.
+ */
+function tokenize(source) {
+  var tokens = [];
+  var pos = 0;
+  var length = source.length;
+  // "{" for braces, "`" for template substitutions.
+  var braces = [];
+
+  function fail(message) {
+    throw new SyntaxError(message + " at offset " + pos);
+  }
+
+  function push(type, start) {
+    var token = { type: type, value: source.slice(start, pos), start: start, end: pos };
+    tokens.push(token);
+    return token;
+  }
+
+  function regexAllowed() {
+    var prev = tokens[tokens.length - 1];
+    if (!prev) {
+      return true;
+    }
+    if (prev.type === "punct") {
+      return [")", "]", "}", "++", "--"].indexOf(prev.value) === -1;
+    }
+    if (prev.type === "name") {
+      return EXPRESSION_KEYWORDS.indexOf(prev.value) !== -1;
+    }
+    return false;
+  }
+
+  // Scans template text up to the closing backquote or a substitution.
+  function scanTemplate(start) {
+    while (pos < length) {
+      var ch = source[pos];
+      if (ch === "\\") {
+        pos += 2;
+      } else if (ch === "`") {
+        pos++;
+        push("template", start);
+        return;
+      } else if (ch === "$" && source[pos + 1] === "{") {
+        pos += 2;
+        braces.push("`");
+        push("template", start);
+        return;
+      } else {
+        pos++;
+      }
+    }
+    fail("Unterminated template");
+  }
+
+  if (source.slice(0, 2) === "#!") {
+    pos = source.indexOf("\n");
+    if (pos === -1) {
+      pos = length;
+    }
+  }
+
+  while (pos < length) {
+    var ch = source[pos];
+    var start = pos;
+
+    if (/\s/.test(ch)) {
+      pos++;
+    } else if (ch === "/" && source[pos + 1] === "/") {
+      pos = source.indexOf("\n", pos);
+      if (pos === -1) {
+        pos = length;
+      }
+    } else if (ch === "/" && source[pos + 1] === "*") {
+      pos = source.indexOf("*/", pos + 2);
+      if (pos === -1) {
+        fail("Unterminated comment");
+      }
+      pos += 2;
+    } else if (ch === "'" || ch === "\"") {
+      pos++;
+      while (pos < length && source[pos] !== ch) {
+        if (source[pos] === "\\") {
+          pos++;
+        } else if (source[pos] === "\n") {
+          fail("Unterminated string");
+        }
+        pos++;
+      }
+      if (pos >= length) {
+        fail("Unterminated string");
+      }
+      pos++;
+      push("string", start);
+    } else if (ch === "`") {
+      pos++;
+      scanTemplate(start);
+    } else if (ch === "}" && braces[braces.length - 1] === "`") {
+      braces.pop();
+      pos++;
+      scanTemplate(start);
+    } else if (isIdentifierStart(ch) || (ch === "#" && isIdentifierStart(source[pos + 1] || ""))) {
+      pos++;
+      while (pos < length && isIdentifierPart(source[pos])) {
+        pos++;
+      }
+      push("name", start);
+    } else if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(source[pos + 1] || ""))) {
+      pos++;
+      while (pos < length && /[\w.]/.test(source[pos])) {
+        if (/[eE]/.test(source[pos]) && /[+-]/.test(source[pos + 1] || "") &&
+            !/^0[xX]/.test(source.slice(start, pos))) {
+          pos++;
+        }
+        pos++;
+      }
+      push("number", start);
+    } else if (ch === "/" && regexAllowed()) {
+      var inClass = false;
+      pos++;
+      while (pos < length && (inClass || source[pos] !== "/")) {
+        if (source[pos] === "\\") {
+          pos++;
+        } else if (source[pos] === "[") {
+          inClass = true;
+        } else if (source[pos] === "]") {
+          inClass = false;
+        } else if (source[pos] === "\n") {
+          fail("Unterminated regular expression");
+        }
+        pos++;
+      }
+      if (pos >= length) {
+        fail("Unterminated regular expression");
+      }
+      pos++;
+      while (pos < length && isIdentifierPart(source[pos])) {
+        pos++;
+      }
+      push("regex", start);
+    } else {
+      var punct = ch;
+      for (var i = 0; i < PUNCTUATORS.length; ++i) {
+        if (source.startsWith(PUNCTUATORS[i], pos)) {
+          punct = PUNCTUATORS[i];
+          break;
+        }
+      }
+      pos += punct.length;
+      if (punct === "{") {
+        braces.push("{");
+      } else if (punct === "}") {
+        braces.pop();
+      }
+      push("punct", start);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Returns, for each opening bracket token, the index of the matching
+ * closing token, and the reverse.
+ */
+function matchBrackets(tokens) {
+  var pairs = { ")": "(", "]": "[", "}": "{" };
+  var match = [];
+  var stack = [];
+
+  for (var i = 0; i < tokens.length; ++i) {
+    var token = tokens[i];
+    if (token.type !== "punct") {
+      continue;
+    }
+    if (token.value === "(" || token.value === "[" || token.value === "{") {
+      stack.push(i);
+    } else if (pairs[token.value]) {
+      var open = stack.pop();
+      if (open === undefined || tokens[open].value !== pairs[token.value]) {
+        throw new SyntaxError("Unbalanced " + token.value + " at offset " + token.start);
+      }
+      match[open] = i;
+      match[i] = open;
+    }
+  }
+  if (stack.length) {
+    throw new SyntaxError("Unbalanced " + tokens[stack.pop()].value);
+  }
+
+  return match;
+}
+
+function isPunct(token, value) {
+  return !!token && token.type === "punct" && token.value === value;
+}
+
+function isName(token, value) {
+  return !!token && token.type === "name" && (value === undefined || token.value === value);
+}
+
+/**
+ * Parses the parameter tokens between two parentheses.
+ *
+ * @return {object}
+ *         names: the parameter names, with patterns as source text;
+ *         bindings: the simple names, which are passed to the body.
+ */
+function parseParameters(source, tokens, open, close) {
+  var names = [];
+  var bindings = [];
+  var segment = [];
+
+  function flush() {
+    if (!segment.length) {
+      return;
+    }
+    var first = segment[0];
+    if (isPunct(first, "...") && isName(segment[1])) {
+      names.push(segment[1].value);
+      bindings.push(segment[1].value);
+    } else if (isName(first) && (segment.length === 1 || isPunct(segment[1], "="))) {
+      names.push(first.value);
+      bindings.push(first.value);
+    } else {
+      // A destructuring pattern, named by its source without a default.
+      var last = segment[segment.length - 1];
+      for (var k = 0; k < segment.length; ++k) {
+        if (isPunct(segment[k], "=") && segment[k].depth === 0) {
+          last = segment[k - 1];
+          break;
+        }
+      }
+      names.push(source.slice(first.start, last.end));
+    }
+    segment = [];
+  }
+
+  var depth = 0;
+  for (var i = open + 1; i < close; ++i) {
+    var token = tokens[i];
+    if (isPunct(token, ",") && depth === 0) {
+      flush();
+      continue;
+    }
+    segment.push({ type: token.type, value: token.value, start: token.start, end: token.end, depth: depth });
+    if (token.type === "punct" && "([{".indexOf(token.value) !== -1) {
+      depth++;
+    } else if (token.type === "punct" && ")]}".indexOf(token.value) !== -1) {
+      depth--;
+    }
+  }
+  flush();
+
+  return { names: names, bindings: bindings };
+}
+
+/**
+ * Returns the name a function gets from being assigned to a variable
+ * or property, given the index of the first token of the function.
+ */
+function assignedName(tokens, index) {
+  var prev = tokens[index - 1];
+  var key = tokens[index - 2];
+  if ((isPunct(prev, "=") || isPunct(prev, ":")) && key &&
+      (key.type === "name" || key.type === "string")) {
+    return key.type === "string" ? key.value.slice(1, -1) : key.value;
+  }
+  return null;
+}
+
+/**
+ * Instruments the functions in a script.
+ *
+ * @param {string} source
+ *        The script's source text.
+ * @param {function} register
+ *        Called with {name, line, column, parameterNames} for each
+ *        instrumented function, with 1-based lines and 0-based columns.
+ *        Returns the ID to pass to the tracer.
+ * @param {array} insertions
+ *        Optional. Receives the {line, column, length} of each piece of
+ *        text inserted, in the original source, in order, so that
+ *        positions in the instrumented source can be mapped back with
+ *        originalColumn.
+ * @return {string}
+ *         The instrumented source.
+ * @throws {SyntaxError}
+ *         If the source cannot be tokenized.
+ */
+function instrument(source, register, insertions) {
+  var tokens = tokenize(source);
+  var match = matchBrackets(tokens);
+  var inserts = [];
+
+  var lineStarts = [0];
+  for (var i = 0; i < source.length; ++i) {
+    if (source[i] === "\n") {
+      lineStarts.push(i + 1);
+    }
+  }
+
+  function position(offset) {
+    var lo = 0, hi = lineStarts.length - 1;
+    while (lo < hi) {
+      var mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        lo = mid;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return { line: lo + 1, column: offset - lineStarts[lo] };
+  }
+
+  /**
+   * Records the insertions for one function.
+   *
+   * @param {integer} headIndex
+   *        The index of the token where the function starts.
+   * @param {string} name
+   * @param {integer} paramsOpen, paramsClose
+   *        Token indices of the parameter list's parentheses, or the
+   *        index of a single unparenthesized parameter twice.
+   * @param {integer} bodyOpen
+   *        Token index of the body's opening brace.
+   * @param {boolean} isArrow
+   * @param {boolean} isAsync
+   */
+  function instrumentFunction(headIndex, name, paramsOpen, paramsClose, bodyOpen, isArrow, isAsync) {
+    var params;
+    if (paramsOpen === paramsClose) {
+      params = { names: [tokens[paramsOpen].value], bindings: [tokens[paramsOpen].value] };
+    } else {
+      params = parseParameters(source, tokens, paramsOpen, paramsClose);
+    }
+
+    var loc = position(tokens[headIndex].start);
+    var id = register({
+      name: name || "(anonymous)",
+      line: loc.line,
+      column: loc.column,
+      parameterNames: params.names
+    });
+
+    var bindings = params.bindings.join(", ");
+    var bodyClose = match[bodyOpen];
+    var directive = tokens[bodyOpen + 1] && tokens[bodyOpen + 1].type === "string" &&
+                    /^["']use strict["']$/.test(tokens[bodyOpen + 1].value);
+
+    inserts.push({
+      pos: tokens[bodyOpen].end,
+      text: (directive ? "\"use strict\"; " : "") +
+            "return " + TRACE_FUNCTION + "(" + id + ", " +
+            (isArrow ? "null" : "arguments") + ", " +
+            (isAsync ? "async " : "") + "(" + bindings + ") => {"
+    });
+    inserts.push({
+      pos: tokens[bodyClose].start,
+      text: "}, [" + bindings + "]);"
+    });
+  }
+
+  for (var i = 0; i < tokens.length; ++i) {
+    var token = tokens[i];
+
+    if (isName(token, "function") && !isPunct(tokens[i - 1], ".")) {
+      if (isPunct(tokens[i + 1], "*")) {
+        continue;
+      }
+      var isAsync = isName(tokens[i - 1], "async");
+      var head = isAsync ? i - 1 : i;
+      var open = isName(tokens[i + 1]) ? i + 2 : i + 1;
+      if (!isPunct(tokens[open], "(") || !isPunct(tokens[match[open] + 1], "{")) {
+        continue;
+      }
+      var name = open === i + 2 ? tokens[i + 1].value : assignedName(tokens, head);
+      instrumentFunction(head, name, open, match[open], match[open] + 1, false, isAsync);
+    } else if (isPunct(token, "=>")) {
+      if (!isPunct(tokens[i + 1], "{")) {
+        continue;
+      }
+      var prev = tokens[i - 1];
+      var open, close;
+      if (isPunct(prev, ")")) {
+        open = match[i - 1];
+        close = i - 1;
+      } else if (isName(prev)) {
+        open = close = i - 1;
+      } else {
+        continue;
+      }
+      var isAsync = isName(tokens[open - 1], "async");
+      var head = isAsync ? open - 1 : open;
+      instrumentFunction(head, assignedName(tokens, head), open, close, i + 1, true, isAsync);
+    } else if (isPunct(token, "(") && isPunct(tokens[match[i] + 1], "{")) {
+      // A method: a property key followed by parameters and a body, at
+      // the start of a class or object literal member.
+      var key = tokens[i - 1];
+      if (!key || (key.type !== "name" && key.type !== "string" && key.type !== "number") ||
+          (key.type === "name" && STATEMENT_KEYWORDS.indexOf(key.value) !== -1)) {
+        continue;
+      }
+      var before = i - 2;
+      var isAsync = false;
+      while (isName(tokens[before]) && METHOD_MODIFIERS.indexOf(tokens[before].value) !== -1) {
+        isAsync = isAsync || tokens[before].value === "async";
+        before--;
+      }
+      if (isPunct(tokens[before], "*")) {
+        continue;
+      }
+      if (!isPunct(tokens[before], "{") && !isPunct(tokens[before], "}") &&
+          !isPunct(tokens[before], ";") && !isPunct(tokens[before], ",")) {
+        continue;
+      }
+      var name = key.type === "string" ? key.value.slice(1, -1) : key.value;
+      instrumentFunction(i - 1, name, i, match[i], match[i] + 1, false, isAsync);
+    }
+  }
+
+  inserts.sort(function(a, b) { return a.pos - b.pos; });
+
+  var output = [];
+  var last = 0;
+  for (var i = 0; i < inserts.length; ++i) {
+    output.push(source.slice(last, inserts[i].pos), inserts[i].text);
+    last = inserts[i].pos;
+    if (insertions) {
+      var loc = position(inserts[i].pos);
+      insertions.push({ line: loc.line, column: loc.column, length: inserts[i].text.length });
+    }
+  }
+  output.push(source.slice(last));
+  return output.join("");
+}
+
+/**
+ * Maps a column in instrumented source back to the original source.
+ * Columns inside inserted text map to where it was inserted.
+ *
+ * @param {array} insertions
+ *        The insertions recorded by instrument.
+ * @param {integer} line
+ *        1-based line number, which instrumenting does not change.
+ * @param {integer} column
+ *        0-based column in the instrumented source.
+ * @return {integer}
+ */
+function originalColumn(insertions, line, column) {
+  var shift = 0;
+  for (var i = 0; i < insertions.length; ++i) {
+    var insertion = insertions[i];
+    if (insertion.line < line) {
+      continue;
+    }
+    if (insertion.line > line || column < insertion.column + shift) {
+      break;
+    }
+    if (column < insertion.column + shift + insertion.length) {
+      return insertion.column;
+    }
+    shift += insertion.length;
+  }
+  return column - shift;
+}
+
+module.exports = {
+  TRACE_FUNCTION: TRACE_FUNCTION,
+  instrument: instrument,
+  originalColumn: originalColumn,
+  tokenize: tokenize
+};
@@ -0,0 +1,378 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Records traces of Node.js code in this project's format. Modules
+ * loaded with require() after start() are instrumented (see
+ * instrument.js), and every call of their functions sends
+ * enteredFrame/exitedFrame packets to the tracer, which is a trace
+ * client: pass it to a Trace, or use the Trace it creates.
+ */
+
+"use strict";
+
+var fs = require("fs");
+var Module = require("module");
+var path = require("path");
+var url = require("url");
+var vm = require("vm");
+var performance = require("perf_hooks").performance;
+
+var instrument = require("./instrument");
+
+var ROOT = path.resolve(__dirname, "..", "..");
+var MAX_PREVIEW_ITEMS = 5;
+
+/**
+ * Loads the viewer's Trace class, which is written for the browser, into
+ * its own context.
+ *
+ * @return {function}
+ *         The Trace constructor.
+ */
+function loadTraceClass() {
+  var context = vm.createContext({});
+  ["event-emitter.js", "trace.js"].forEach(function(file) {
+    var filename = path.join(ROOT, file);
+    vm.runInContext(fs.readFileSync(filename, "utf8"), context, { filename: filename });
+  });
+  return context.Trace;
+}
+
+/**
+ * Returns a JSON-compatible description of a value, in the shape of the
+ * debugger grips recorded by the Firefox tracer: primitives as they are,
+ * special values as {type}, and objects as {type: "object", class,
+ * preview}. Accessor properties are not read.
+ */
+function grip(value, nested) {
+  switch (typeof value) {
+    case "undefined":
+      return { type: "undefined" };
+    case "number":
+      if (value !== value) {
+        return { type: "NaN" };
+      }
+      if (!isFinite(value)) {
+        return { type: value > 0 ? "Infinity" : "-Infinity" };
+      }
+      if (value === 0 && 1 / value < 0) {
+        return { type: "-0" };
+      }
+      return value;
+    case "bigint":
+      return { type: "BigInt", text: String(value) };
+    case "symbol":
+      return { type: "symbol", name: String(value) };
+    case "string":
+    case "boolean":
+      return value;
+  }
+  if (value === null) {
+    return null;
+  }
+
+  var result = { type: "object", class: className(value) };
+  if (typeof value === "function") {
+    result.name = value.name;
+    return result;
+  }
+  if (nested) {
+    return result;
+  }
+
+  if (value instanceof Error) {
+    result.preview = {
+      kind: "Error",
+      name: ownValue(value, "name") || result.class,
+      message: String(ownValue(value, "message") || "")
+    };
+  } else if (Array.isArray(value)) {
+    result.preview = {
+      kind: "ArrayLike",
+      length: value.length,
+      items: value.slice(0, MAX_PREVIEW_ITEMS).map(function(item) {
+        return grip(item, true);
+      })
+    };
+  } else {
+    var keys = Object.keys(value);
+    var ownProperties = {};
+    keys.slice(0, MAX_PREVIEW_ITEMS).forEach(function(key) {
+      var descriptor = Object.getOwnPropertyDescriptor(value, key);
+      ownProperties[key] = "value" in descriptor
+        ? { value: grip(descriptor.value, true) }
+        : { get: null };
+    });
+    result.preview = {
+      kind: "Object",
+      ownProperties: ownProperties,
+      ownPropertiesLength: keys.length
+    };
+  }
+  return result;
+}
+
+function className(value) {
+  try {
+    var proto = Object.getPrototypeOf(value);
+    var descriptor = proto && Object.getOwnPropertyDescriptor(proto, "constructor");
+    if (descriptor && typeof descriptor.value === "function" && descriptor.value.name) {
+      return descriptor.value.name;
+    }
+  } catch (ex) {
+    // Proxies may throw.
+  }
+  return typeof value === "function" ? "Function" : "Object";
+}
+
+function ownValue(object, key) {
+  var descriptor = Object.getOwnPropertyDescriptor(object, key) ||
+                   Object.getOwnPropertyDescriptor(Object.getPrototypeOf(object) || {}, key);
+  return descriptor && "value" in descriptor ? descriptor.value : undefined;
+}
+
+function fileUrl(filename) {
+  return path.isAbsolute(filename) ? url.pathToFileURL(filename).href : filename;
+}
+
+/**
+ * @param {object} options
+ *        include: array of RegExps; only files matching one of them are
+ *                 instrumented. Defaults to all files.
+ *        exclude: array of RegExps; files matching one of them are not
+ *                 instrumented. node_modules and the tracer itself are
+ *                 always excluded unless included explicitly.
+ *        callsites: whether to record the location each function was
+ *                   called from. Defaults to true.
+ *        name: the name of the trace.
+ */
+function Tracer(options) {
+  options = options || {};
+  this.include = options.include || [];
+  this.exclude = options.exclude || [];
+  this.callsites = options.callsites !== false;
+  this.name = options.name || "Node.js trace";
+
+  this._functions = [];
+  this._insertions = Object.create(null);
+  this._listeners = { enteredFrame: [], exitedFrame: [] };
+  this._depth = 0;
+  this._sending = false;
+  this._active = false;
+
+  this.call = this.call.bind(this);
+}
+
+Tracer.prototype = {
+  /**
+   * Starts instrumenting modules as they are loaded, and records their
+   * calls into a new Trace.
+   *
+   * @return {Trace}
+   */
+  start: function() {
+    if (this._active) {
+      throw new Error("The tracer is already running");
+    }
+    var Trace = loadTraceClass();
+    this.trace = new Trace(this, this.name);
+    this._startTime = performance.now();
+    this._active = true;
+
+    global[instrument.TRACE_FUNCTION] = this.call;
+
+    var tracer = this;
+    var compile = Module.prototype._compile;
+    this._originalCompile = compile;
+    Module.prototype._compile = function(content, filename) {
+      if (tracer._shouldInstrument(filename)) {
+        try {
+          var insertions = [];
+          content = instrument.instrument(content, function(info) {
+            return tracer._register(info, filename);
+          }, insertions);
+          tracer._insertions[filename] = insertions;
+        } catch (ex) {
+          process.emitWarning("Not tracing " + filename + ": " + ex.message);
+        }
+      }
+      return compile.call(this, content, filename);
+    };
+
+    return this.trace;
+  },
+
+  /**
+   * Stops recording. Frames which are still running are exited, and the
+   * trace is finished. Modules instrumented so far keep calling the
+   * tracer, which then only runs them.
+   *
+   * @return {Trace}
+   */
+  stop: function() {
+    if (!this._active) {
+      return this.trace;
+    }
+    Module.prototype._compile = this._originalCompile;
+
+    while (this._depth > 0) {
+      this._depth--;
+      this._send("exitedFrame", { time: this._now() });
+    }
+    this._active = false;
+    if (!this.trace.finished) {
+      this.trace.finish();
+    }
+    return this.trace;
+  },
+
+  /**
+   * Writes the trace in the format read by parseTrace.
+   *
+   * @param {string} filename
+   */
+  save: function(filename) {
+    fs.writeFileSync(filename, this.trace.toJSON());
+  },
+
+  addListener: function(type, listener) {
+    this._listeners[type].push(listener);
+  },
+
+  removeListener: function(type, listener) {
+    this._listeners[type] = this._listeners[type].filter(function(l) {
+      return l !== listener;
+    });
+  },
+
+  /**
+   * Called by instrumented functions in place of their body.
+   *
+   * @param {integer} id
+   *        The function's ID, from _register.
+   * @param {Arguments} args
+   *        The function's arguments, or null for arrow functions.
+   * @param {function} body
+   *        The function's original body.
+   * @param {array} params
+   *        The values of the function's parameters, passed to the body.
+   */
+  call: function(id, args, body, params) {
+    if (!this._active || this._sending) {
+      return body.apply(undefined, params);
+    }
+
+    var info = this._functions[id];
+    var packet = {
+      name: info.name,
+      location: info.location,
+      parameterNames: info.parameterNames,
+      arguments: Array.prototype.map.call(args || params, function(value) {
+        return grip(value);
+      }),
+      time: this._now()
+    };
+    if (this.callsites) {
+      packet.callsite = this._callsite();
+    }
+    this._depth++;
+    this._send("enteredFrame", packet);
+
+    var value;
+    try {
+      value = body.apply(undefined, params);
+    } catch (ex) {
+      this._exit({ throw: grip(ex) });
+      throw ex;
+    }
+    this._exit({ return: grip(value) });
+    return value;
+  },
+
+  _exit: function(packet) {
+    if (!this._active || this._depth === 0) {
+      return;
+    }
+    this._depth--;
+    packet.time = this._now();
+    this._send("exitedFrame", packet);
+  },
+
+  _send: function(type, packet) {
+    this._sending = true;
+    try {
+      var listeners = this._listeners[type];
+      for (var i = 0; i < listeners.length; ++i) {
+        listeners[i](type, packet);
+      }
+    } finally {
+      this._sending = false;
+    }
+  },
+
+  _now: function() {
+    return performance.now() - this._startTime;
+  },
+
+  /**
+   * Returns the location of the call to the instrumented function which
+   * called the tracer.
+   */
+  _callsite: function() {
+    var prepare = Error.prepareStackTrace;
+    var limit = Error.stackTraceLimit;
+    var holder = {};
+    try {
+      Error.prepareStackTrace = function(error, frames) { return frames; };
+      Error.stackTraceLimit = 2;
+      Error.captureStackTrace(holder, Tracer.prototype.call);
+      var frames = holder.stack;
+      var caller = frames && frames[1];
+      var filename = caller && caller.getFileName();
+      if (!filename) {
+        return undefined;
+      }
+      var line = caller.getLineNumber();
+      var column = caller.getColumnNumber() - 1;
+      if (this._insertions[filename]) {
+        column = instrument.originalColumn(this._insertions[filename], line, column);
+      }
+      return { url: fileUrl(filename), line: line, column: column };
+    } finally {
+      Error.prepareStackTrace = prepare;
+      Error.stackTraceLimit = limit;
+    }
+  },
+
+  _register: function(info, filename) {
+    var id = this._functions.length;
+    this._functions.push({
+      name: info.name,
+      location: { url: fileUrl(filename), line: info.line, column: info.column },
+      parameterNames: info.parameterNames
+    });
+    return id;
+  },
+
+  _shouldInstrument: function(filename) {
+    function matches(patterns) {
+      return patterns.some(function(pattern) { return pattern.test(filename); });
+    }
+    if (this.include.length) {
+      return matches(this.include) && !matches(this.exclude);
+    }
+    if (filename.indexOf(__dirname + path.sep) === 0 ||
+        filename.split(path.sep).indexOf("node_modules") !== -1) {
+      return false;
+    }
+    return !matches(this.exclude);
+  }
+};
+
+module.exports = {
+  Tracer: Tracer,
+  grip: grip,
+  loadTraceClass: loadTraceClass
+};
@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Replays a saved trace over a WebSocket, speaking the live trace
+ * protocol described in README.md, so that live viewing can be
+ * developed without a browser debugger. Also serves the viewer itself.
+ *
+ *   node tools/replay-server.js [--port 8080] [--speed 1] [trace-file]
+ *
+ * Then open http://localhost:8080/?live=ws://localhost:8080/ and the
+ * trace (data.js by default) is replayed at the given speed. A "speed"
+ * query parameter on the WebSocket URL overrides the default speed.
+ */
+
+"use strict";
+
+var crypto = require("crypto");
+var fs = require("fs");
+var http = require("http");
+var path = require("path");
+var url = require("url");
+
+var ROOT = path.resolve(__dirname, "..");
+var WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+var MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "application/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8"
+};
+
+/**
+ * Reads a trace saved in this project's format, either as JSON or as a
+ * script assigning it to a variable, like data.js.
+ *
+ * @param {string} file
+ * @return {object}
+ */
+function readTrace(file) {
+  var text = fs.readFileSync(file, "utf8");
+  var start = text.indexOf("{");
+  var end = text.lastIndexOf("}");
+  if (start === -1 || end === -1) {
+    throw new Error(file + " does not contain a trace");
+  }
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+/**
+ * Returns the packets a trace client would have sent while recording a
+ * saved trace, in order.
+ *
+ * @param {object} data
+ *        A trace in this project's {functions, children} format.
+ * @return {array}
+ */
+function tracePackets(data) {
+  var packets = [];
+  var functions = data.functions;
+
+  // Frames still to visit, with exit markers for frames whose children
+  // have all been visited.
+  var stack = data.children.slice().reverse().map(function(frame) {
+    return { frame: frame };
+  });
+
+  while (stack.length) {
+    var item = stack.pop();
+    var frame = item.frame;
+
+    if (item.exit) {
+      var exit = { type: "exitedFrame", time: frame.endTime };
+      ["return", "throw", "yield"].forEach(function(type) {
+        if (typeof frame[type] !== "undefined") {
+          exit[type] = frame[type];
+        }
+      });
+      packets.push(exit);
+      continue;
+    }
+
+    var aggregated = functions[frame.fid];
+    packets.push({
+      type: "enteredFrame",
+      name: aggregated.name,
+      location: aggregated.location,
+      callsite: frame.callsite,
+      time: frame.startTime,
+      parameterNames: aggregated.parameterNames,
+      arguments: frame.arguments
+    });
+
+    stack.push({ frame: frame, exit: true });
+    var children = frame.children || [];
+    for (var i = children.length - 1; i >= 0; --i) {
+      stack.push({ frame: children[i] });
+    }
+  }
+
+  return packets;
+}
+
+/**
+ * Encodes a message as an unmasked WebSocket frame.
+ *
+ * @param {string} text
+ *        The payload.
+ * @param {integer} opcode
+ *        The frame's opcode. Defaults to a text frame.
+ * @return {Buffer}
+ */
+function encodeFrame(text, opcode) {
+  var payload = Buffer.from(text, "utf8");
+  var length = payload.length;
+  var header;
+
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = length;
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+    header.writeUInt32BE(length % 0x100000000, 6);
+  }
+  header[0] = 0x80 | (opcode || 0x1);
+
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Calls onOpcode for each frame a client sends. Only control frames
+ * matter to this server, so payloads are not unmasked.
+ */
+function readFrames(socket, onOpcode) {
+  var pending = Buffer.alloc(0);
+  socket.on("data", function(data) {
+    pending = Buffer.concat([pending, data]);
+    while (pending.length >= 2) {
+      var length = pending[1] & 0x7f;
+      var offset = 2;
+      if (length === 126) {
+        length = pending.length >= 4 ? pending.readUInt16BE(2) : Infinity;
+        offset = 4;
+      } else if (length === 127) {
+        length = pending.length >= 10 ? pending.readUInt32BE(6) : Infinity;
+        offset = 10;
+      }
+      if (pending[1] & 0x80) {
+        offset += 4;
+      }
+      if (pending.length < offset + length) {
+        return;
+      }
+      onOpcode(pending[0] & 0x0f);
+      pending = pending.slice(offset + length);
+    }
+  });
+}
+
+/**
+ * Replays packets to a connected client, in batches of the packets due
+ * since the last batch.
+ *
+ * @param {net.Socket} socket
+ * @param {string} name
+ *        The name of the trace.
+ * @param {array} packets
+ * @param {number} speed
+ *        How many times faster than real time to replay.
+ */
+function replay(socket, name, packets, speed) {
+  var closed = false;
+  var index = 0;
+  var timer = null;
+  var firstTime = packets.length ? packets[0].time : 0;
+  var startedAt = Date.now();
+
+  function send(message) {
+    if (!closed) {
+      socket.write(encodeFrame(JSON.stringify(message)));
+    }
+  }
+
+  function tick() {
+    var now = (Date.now() - startedAt) * speed + firstTime;
+    var batch = [];
+    while (index < packets.length && packets[index].time <= now) {
+      batch.push(packets[index++]);
+    }
+    if (batch.length) {
+      send(batch);
+    }
+
+    if (index < packets.length) {
+      var delay = (packets[index].time - now) / speed;
+      timer = setTimeout(tick, Math.max(4, delay));
+    } else {
+      send({ type: "traceStopped" });
+      timer = null;
+    }
+  }
+
+  readFrames(socket, function(opcode) {
+    if (opcode === 0x8) {
+      // Echo the close frame and hang up.
+      if (!closed) {
+        socket.end(encodeFrame("", 0x8));
+      }
+      closed = true;
+    } else if (opcode === 0x9 && !closed) {
+      socket.write(encodeFrame("", 0xA));
+    }
+  });
+  socket.on("close", function() {
+    closed = true;
+    clearTimeout(timer);
+  });
+  socket.on("error", function() {
+    closed = true;
+    clearTimeout(timer);
+  });
+
+  send({ type: "traceStarted", name: name });
+  tick();
+}
+
+function serveFile(request, response) {
+  var pathname = null;
+  try {
+    pathname = decodeURIComponent(url.parse(request.url).pathname);
+  } catch (e) {
+    // Malformed percent-encoding.
+  }
+  // fs throws on paths with NUL characters rather than failing.
+  if (pathname === null || pathname.indexOf("\0") !== -1) {
+    response.writeHead(400);
+    response.end("Bad request");
+    return;
+  }
+  if (pathname === "/") {
+    pathname = "/index.html";
+  }
+  var file = path.join(ROOT, path.normalize(pathname));
+  if (file.indexOf(ROOT + path.sep) !== 0) {
+    response.writeHead(403);
+    response.end();
+    return;
+  }
+
+  fs.readFile(file, function(err, contents) {
+    if (err) {
+      response.writeHead(404);
+      response.end("Not found");
+      return;
+    }
+    var type = MIME_TYPES[path.extname(file)] || "application/octet-stream";
+    response.writeHead(200, { "Content-Type": type });
+    response.end(contents);
+  });
+}
+
+function parseArgs(argv) {
+  var options = { port: 8080, speed: 1, file: path.join(ROOT, "data.js") };
+  for (var i = 0; i < argv.length; ++i) {
+    if (argv[i] === "--port") {
+      options.port = parseInt(argv[++i], 10);
+    } else if (argv[i] === "--speed") {
+      options.speed = parseFloat(argv[++i]);
+    } else if (argv[i] === "--help") {
+      options.help = true;
+    } else {
+      options.file = path.resolve(argv[i]);
+    }
+  }
+  return options;
+}
+
+function main() {
+  var options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log("Usage: node tools/replay-server.js [--port 8080] [--speed 1] [trace-file]");
+    return;
+  }
+
+  var name = path.basename(options.file);
+  var packets = tracePackets(readTrace(options.file));
+
+  var server = http.createServer(serveFile);
+  server.on("upgrade", function(request, socket) {
+    var key = request.headers["sec-websocket-key"];
+    if (!key) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    var accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+    socket.write("HTTP/1.1 101 Switching Protocols\r\n" +
+                 "Upgrade: websocket\r\n" +
+                 "Connection: Upgrade\r\n" +
+                 "Sec-WebSocket-Accept: " + accept + "\r\n\r\n");
+
+    var speed = parseFloat(url.parse(request.url, true).query.speed) || options.speed;
+    console.log("Replaying " + name + " (" + packets.length + " packets) at " + speed + "x");
+    replay(socket, name, packets, speed);
+  });
+
+  server.listen(options.port, function() {
+    console.log("Open http://localhost:" + options.port +
+                "/?live=ws://localhost:" + options.port + "/");
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  readTrace: readTrace,
+  tracePackets: tracePackets,
+  serveFile: serveFile
+};
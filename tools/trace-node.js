@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Runs a Node.js script with its functions instrumented, and saves the
+ * trace in a file the viewer can load.
+ *
+ *   node tools/trace-node.js [-o out.json] [--include RE] [--exclude RE]
+ *                            [--no-callsites] script.js [args...]
+ *
+ * --include and --exclude may be repeated; they are matched against the
+ * full path of each loaded module. The trace is saved when the script's
+ * process exits, to <script>.trace.json by default.
+ */
+
+"use strict";
+
+var Module = require("module");
+var path = require("path");
+
+var Tracer = require("./node-tracer/tracer").Tracer;
+
+var USAGE = "Usage: node tools/trace-node.js [-o out.json] [--include RE] " +
+            "[--exclude RE] [--no-callsites] script.js [args...]";
+
+function parseArgs(argv) {
+  var options = { include: [], exclude: [], callsites: true };
+  for (var i = 0; i < argv.length; ++i) {
+    var arg = argv[i];
+    if (arg === "-o" || arg === "--output") {
+      options.output = path.resolve(argv[++i]);
+    } else if (arg === "--include") {
+      options.include.push(new RegExp(argv[++i]));
+    } else if (arg === "--exclude") {
+      options.exclude.push(new RegExp(argv[++i]));
+    } else if (arg === "--no-callsites") {
+      options.callsites = false;
+    } else if (arg === "--help") {
+      options.help = true;
+    } else {
+      options.script = path.resolve(arg);
+      options.args = argv.slice(i + 1);
+      break;
+    }
+  }
+  if (options.script && !options.output) {
+    options.output = options.script.replace(/\.[cm]?js$/, "") + ".trace.json";
+  }
+  return options;
+}
+
+function main() {
+  var options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (ex) {
+    console.error(ex.message);
+    process.exit(2);
+  }
+  if (options.help || !options.script) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 2);
+  }
+
+  var tracer = new Tracer({
+    include: options.include,
+    exclude: options.exclude,
+    callsites: options.callsites,
+    name: path.basename(options.script)
+  });
+
+  process.on("exit", function() {
+    var trace = tracer.stop();
+    tracer.save(options.output);
+    console.error("Saved " + trace.frames.length + " frames to " + options.output);
+  });
+
+  // Make the script think it was run directly.
+  process.argv = [process.argv[0], options.script].concat(options.args);
+  tracer.start();
+  Module.runMain();
+}
+
+main();
@@ -0,0 +1,142 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Compares the functions of two traces, such as recordings made before
+ * and after an optimization. Functions are matched by name and location,
+ * the same key Trace uses to aggregate calls.
+ *
+ * Each entry of the result has the function's key, name and location,
+ * its aggregated info and function ID in each trace (before, beforeFid,
+ * after and afterFid; null where it was not called), and the differences
+ * in count, totalTime and selfTime (countDelta, totalTimeDelta and
+ * selfTimeDelta), as after - before.
+ *
+ * @param {Trace} before
+ * @param {Trace} after
+ * @return {object}
+ *         functions: entries for the functions called in both traces.
+ *         onlyBefore: entries for the functions only in the first trace.
+ *         onlyAfter: entries for the functions only in the second trace.
+ *         beforeByFid, afterByFid: the entries indexed by function ID in
+ *           each trace.
+ *         maxSelfTimeDelta: the largest absolute self time difference.
+ */
+function diffTraces(before, after) {
+  var entries = Object.create(null);
+  var keys = [];
+
+  function entryFor(aggregated) {
+    var key = locationToString(aggregated.location, aggregated.name);
+    if (!entries[key]) {
+      entries[key] = {
+        key: key,
+        name: aggregated.name,
+        location: aggregated.location,
+        before: null,
+        beforeFid: null,
+        after: null,
+        afterFid: null
+      };
+      keys.push(key);
+    }
+    return entries[key];
+  }
+
+  var beforeByFid = before.functions.map(function(aggregated, fid) {
+    var entry = entryFor(aggregated);
+    entry.before = aggregated;
+    entry.beforeFid = fid;
+    return entry;
+  });
+  var afterByFid = after.functions.map(function(aggregated, fid) {
+    var entry = entryFor(aggregated);
+    entry.after = aggregated;
+    entry.afterFid = fid;
+    return entry;
+  });
+
+  var result = {
+    functions: [],
+    onlyBefore: [],
+    onlyAfter: [],
+    beforeByFid: beforeByFid,
+    afterByFid: afterByFid,
+    maxSelfTimeDelta: 0
+  };
+
+  keys.forEach(function(key) {
+    var entry = entries[key];
+    entry.countDelta = statistic(entry.after, "count") - statistic(entry.before, "count");
+    entry.totalTimeDelta = statistic(entry.after, "totalTime") - statistic(entry.before, "totalTime");
+    entry.selfTimeDelta = statistic(entry.after, "selfTime") - statistic(entry.before, "selfTime");
+
+    result.maxSelfTimeDelta = Math.max(result.maxSelfTimeDelta, Math.abs(entry.selfTimeDelta));
+
+    if (!entry.after) {
+      result.onlyBefore.push(entry);
+    } else if (!entry.before) {
+      result.onlyAfter.push(entry);
+    } else {
+      result.functions.push(entry);
+    }
+  });
+
+  return result;
+}
+
+function statistic(aggregated, key) {
+  return aggregated && aggregated[key] || 0;
+}
+
+/**
+ * Returns the color of a function in a differential graph: red if its
+ * self time grew, blue if it shrank, more saturated the larger the
+ * change, and gray if it did not change.
+ *
+ * @param {number} delta
+ *        The function's self time difference.
+ * @param {number} maxDelta
+ *        The largest absolute difference, which gets the strongest color.
+ * @return {string}
+ */
+function diffColor(delta, maxDelta) {
+  var intensity = maxDelta ? Math.min(1, Math.abs(delta) / maxDelta) : 0;
+  var hue = delta > 0 ? 0 : 220;
+  return "hsl(" + hue + ", " + Math.round(80 * intensity) + "%, 40%)";
+}
+
+/**
+ * Color scheme for a TraceGraph showing the "after" trace of a diff,
+ * coloring each function with diffColor. See color-schemes.js.
+ *
+ * @param {object} diff
+ *        The result of diffTraces.
+ */
+function DiffColorScheme(diff) {
+  this._diff = diff;
+}
+
+DiffColorScheme.prototype = {
+  name: "diff",
+  label: "Self time change",
+
+  setTrace: function() {},
+
+  colorOf: function(frame) {
+    var entry = this._diff.afterByFid[frame.fid];
+    return diffColor(entry ? entry.selfTimeDelta : 0, this._diff.maxSelfTimeDelta);
+  },
+
+  legend: function() {
+    var maxDelta = this._diff.maxSelfTimeDelta;
+    return [
+      { color: diffColor(maxDelta, maxDelta), label: "+" + formatTime(maxDelta) },
+      { color: diffColor(0, maxDelta), label: "Unchanged" },
+      { color: diffColor(-maxDelta, maxDelta), label: "-" + formatTime(maxDelta) }
+    ];
+  }
+};
@@ -7,6 +7,12 @@
 var DPR = window.devicePixelRatio;
 var MAX_FONT_SIZE = 12 * DPR;
 
+// Marks frames which exited by throwing, and links those unwinding the
+// same exception.
+var THROW_COLOR = "rgb(230, 30, 30)";
+
+var XHTML_NS = "http://www.w3.org/1999/xhtml";
+
 /**
  * Main display for trace contents.
  */
@@ -15,39 +21,1021 @@ function TraceGraph(element) {
   this.document = element.ownerDocument;
 
   this._bounds = new TraceBounds();
+  this._bounds.on("followchanged", function(ev, follow) {
+    this.emit("followchanged", follow);
+  }.bind(this));
+  this._bounds.on("changed", function(ev, why) {
+    this.emit("boundschanged", why);
+  }.bind(this));
+
+  this._onTraceUpdated = this._onTraceUpdated.bind(this);
+  this._onTraceFinished = this._onTraceFinished.bind(this);
+  this._updateMarkers = this._updateMarkers.bind(this);
+  this._update = this._update.bind(this);
+
+  this._tooltip = this.document.createElementNS(XHTML_NS, "div");
+  this._tooltip.className = "trace-tooltip";
+  this._tooltip.hidden = true;
+
+  this._legend = this.document.createElementNS(XHTML_NS, "div");
+  this._legend.className = "trace-legend";
+
+  this._colorScheme = new FunctionColorScheme();
 
+  this._help = this._createHelp();
+
+  // Make the graph focusable, so that it gets key presses.
+  if (!this.element.hasAttribute("tabindex")) {
+    this.element.tabIndex = 0;
+  }
+  this.element.addEventListener("keydown", this._onKeyDown.bind(this));
   this.element.addEventListener("overflow", this._onResize.bind(this));
 
   EventEmitter.decorate(this);
 };
 
+// How much the W and S keys zoom, in the units of TraceBounds.zoom, and
+// the fraction of the visible time the A and D keys pan by.
+var KEY_ZOOM_STEP = 100;
+var KEY_PAN_STEP = 0.1;
+
 TraceGraph.prototype = {
+  /**
+   * The available view modes: the chronological timeline, and flame
+   * graphs of the merged call tree, top-down or bottom-up.
+   */
+  modes: ["timeline", "top-down", "bottom-up"],
+
+  _mode: "timeline",
+
+  _rowHeight: 16,
+
+  _fitVisibleDepth: false,
+
+  _focusHistory: [null],
+
+  _focusIndex: 0,
+
+  get mode() { return this._mode; },
+
+  /**
+   * The trace or tree drawn: the trace, its merged call tree, or the
+   * focused subtree of either.
+   */
+  get displayed() { return this._displayed; },
+
+  /**
+   * The names of the built-in color schemes, see color-schemes.js.
+   */
+  get colorSchemes() { return Object.keys(COLOR_SCHEMES); },
+
+  get colorScheme() { return this._colorScheme; },
+
+  get selected() { return this._selected; },
+
+  get query() { return this._query; },
+
+  get matches() { return this._matches || []; },
+
+  get follow() { return this._bounds.follow; },
+
+  get rowHeight() { return this._rowHeight; },
+
+  get fitVisibleDepth() { return this._fitVisibleDepth; },
+
+  /**
+   * The selected time range, as { startTime, endTime } in the displayed
+   * trace's time, or null.
+   */
+  get range() { return this._range || null; },
+
+  /**
+   * The frame the graph is focused on, from the trace or merged tree
+   * shown in the current mode, or null if the whole tree is shown.
+   */
+  get focused() { return this._focusHistory[this._focusIndex]; },
+
+  get canGoBack() { return this._focusIndex > 0; },
+
+  get canGoForward() { return this._focusIndex < this._focusHistory.length - 1; },
+
+  /**
+   * The keys handled by the graph while it has focus, as listed in its
+   * help overlay. Keys are KeyboardEvent.key values.
+   */
+  keyBindings: [
+    { keys: ["ArrowDown"], label: "↓", description: "Select the caller",
+      action: function(graph) { graph.moveSelection("caller"); } },
+    { keys: ["ArrowUp"], label: "↑", description: "Select the first callee",
+      action: function(graph) { graph.moveSelection("callee"); } },
+    { keys: ["ArrowLeft"], label: "←", description: "Select the previous call",
+      action: function(graph) { graph.moveSelection("previous"); } },
+    { keys: ["ArrowRight"], label: "→", description: "Select the next call",
+      action: function(graph) { graph.moveSelection("next"); } },
+    { keys: ["w", "W"], label: "W", description: "Zoom in",
+      action: function(graph) { graph._bounds.zoom(-KEY_ZOOM_STEP); } },
+    { keys: ["s", "S"], label: "S", description: "Zoom out",
+      action: function(graph) { graph._bounds.zoom(KEY_ZOOM_STEP); } },
+    { keys: ["a", "A"], label: "A", description: "Pan left",
+      action: function(graph) { graph._bounds.panByPercent(-KEY_PAN_STEP); } },
+    { keys: ["d", "D"], label: "D", description: "Pan right",
+      action: function(graph) { graph._bounds.panByPercent(KEY_PAN_STEP); } },
+    { keys: ["Enter"], label: "Enter", description: "Zoom to the selected frame",
+      action: function(graph) { graph.zoomToFrame(graph.selected); } },
+    { keys: ["f", "F"], label: "F", description: "Focus on the selected frame",
+      action: function(graph) { graph.focus(graph.selected); } },
+    { keys: ["Backspace"], label: "Backspace", description: "Go back to the previous focus",
+      action: function(graph) { graph.back(); } },
+    { keys: ["0"], label: "0", description: "Reset the view",
+      action: function(graph) { graph.resetView(); } },
+    { keys: ["Escape"], label: "Esc", description: "Clear the selection, or close this help",
+      action: function(graph) {
+        if (!graph._help.hidden) {
+          graph.toggleHelp(false);
+        } else {
+          graph.select(null);
+        }
+      } },
+    { keys: ["?"], label: "?", description: "Show or hide this help",
+      action: function(graph) { graph.toggleHelp(); } }
+  ],
+
   setTrace: function(trace) {
+    this._detach();
     this._trace = trace;
-    this._bounds.setTrace(trace);
+    trace.on("annotationschanged", this._updateMarkers);
+
+    if (!trace.finished) {
+      trace.on("enteredFrame", this._onTraceUpdated);
+      trace.on("exitedFrame", this._onTraceUpdated);
+      trace.on("finished", this._onTraceFinished);
+    }
 
     while (this.element.hasChildNodes()) {
       this.element.removeChild(this.element.firstChild);
     }
 
+    this._ruler = new Ruler(this, this._bounds);
     this._mainView = new MainView(this, this._bounds);
     this._overview = new Overview(this, this._bounds);
-    this._mainView.setTrace(trace);
-    this._overview.setTrace(trace);
+    this._mainView.setColorScheme(this._colorScheme);
+    this._overview.setColorScheme(this._colorScheme);
+    this._mainView.setRowHeight(this._rowHeight, this._fitVisibleDepth);
+
+    this._tooltip.hidden = true;
+    this.element.appendChild(this._tooltip);
+    this.element.appendChild(this._legend);
+    this._help.hidden = true;
+    this.element.appendChild(this._help);
 
+    this._showTrace();
     this._onResize();
   },
 
+  /**
+   * Stops following the trace and rendering, for a graph that is no
+   * longer shown.
+   */
+  destroy: function() {
+    this._detach();
+    this._trace = null;
+    this._mainView = null;
+  },
+
+  /**
+   * Sizes the views to the graph's element again, after it was resized
+   * or shown.
+   */
+  resize: function() {
+    if (this._mainView) {
+      this._onResize();
+    }
+  },
+
+  _detach: function() {
+    if (this._trace) {
+      this._trace.off("annotationschanged", this._updateMarkers);
+      this._trace.off("enteredFrame", this._onTraceUpdated);
+      this._trace.off("exitedFrame", this._onTraceUpdated);
+      this._trace.off("finished", this._onTraceFinished);
+    }
+    if (this._requestedUpdate) {
+      window.cancelAnimationFrame(this._requestedUpdate);
+      this._requestedUpdate = false;
+    }
+    if (this._mainView) {
+      this._ruler.destroy();
+      this._mainView.destroy();
+      this._overview.destroy();
+    }
+  },
+
+  /**
+   * Switches between the timeline and the merged flame graph modes.
+   *
+   * @param {string} mode
+   *        One of the values in this.modes.
+   */
+  setMode: function(mode) {
+    if (this.modes.indexOf(mode) === -1) {
+      throw new Error("Unknown view mode: " + mode);
+    }
+    if (mode === this._mode) {
+      return;
+    }
+    this._mode = mode;
+    if (this._trace) {
+      this._showTrace();
+    }
+    this.emit("modechanged", mode);
+  },
+
+  /**
+   * Displays the current trace in the current mode. Focus history is
+   * kept as long as the tree shown in the mode is the same.
+   */
+  _showTrace: function() {
+    var trace = this._trace;
+    var tree = trace;
+    if (this._mode !== "timeline") {
+      tree = mergeTrace(trace, this._mode === "bottom-up");
+    }
+    if (tree !== this._tree) {
+      this._tree = tree;
+      this._focusHistory = [null];
+      this._focusIndex = 0;
+    }
+
+    this._display();
+    this.select(null);
+  },
+
+  /**
+   * Displays the tree of the current mode, or the focused subtree.
+   */
+  _display: function() {
+    var focused = this.focused;
+    var displayed = focused ? focusTrace(this._tree, focused) : this._tree;
+    this._displayed = displayed;
+    this._colorScheme.setTrace(displayed);
+    this._renderLegend();
+
+    this._bounds.setTrace(displayed);
+    this._ruler.setTrace(displayed);
+    this._mainView.setTrace(displayed);
+    this._overview.setTrace(displayed);
+    this._updateMatches();
+    this._updateMarkers();
+    this._updateActivations();
+    this.selectRange(null);
+    this.emit("focuschanged", focused);
+  },
+
+  /**
+   * Returns the frame of the tree shown in the current mode which a
+   * displayed frame, or a frame of the trace, stands for.
+   *
+   * @param {object} frame
+   */
+  _treeFrame: function(frame) {
+    var displayed = this._displayed;
+    var tree = this._tree;
+    if (displayed.focused && displayed.frames[frame.uid] === frame) {
+      frame = displayed.sourceFrame(frame);
+    }
+    if (tree.frames[frame.uid] === frame) {
+      return frame;
+    }
+    return tree.nodeForFrame ? tree.nodeForFrame(frame) : null;
+  },
+
+  /**
+   * Re-roots the graph on the subtree of a frame, so that the frame is
+   * drawn at depth 0 across the whole width. The change is added to the
+   * focus history.
+   *
+   * @param {object} frame
+   *        The frame to focus on, or null to show the whole tree again.
+   */
+  focus: function(frame) {
+    var focused = frame && this._treeFrame(frame);
+    if (frame && !focused || focused === this.focused) {
+      return;
+    }
+    this._focusHistory = this._focusHistory.slice(0, this._focusIndex + 1);
+    this._focusHistory.push(focused || null);
+    this._setFocusIndex(this._focusIndex + 1);
+  },
+
+  /**
+   * Returns to the previous focus.
+   */
+  back: function() {
+    if (this.canGoBack) {
+      this._setFocusIndex(this._focusIndex - 1);
+    }
+  },
+
+  /**
+   * Returns to the focus left by back().
+   */
+  forward: function() {
+    if (this.canGoForward) {
+      this._setFocusIndex(this._focusIndex + 1);
+    }
+  },
+
+  _setFocusIndex: function(index) {
+    // Keep the selection if it is part of the new focus.
+    var selected = this._selected && this._treeFrame(this._selected);
+    this._focusIndex = index;
+    this._display();
+    this.select(selected);
+  },
+
+  /**
+   * Zooms the view to the start and end of a frame.
+   *
+   * @param {object} frame
+   */
+  zoomToFrame: function(frame) {
+    frame = this._displayedFrame(frame);
+    if (!frame) {
+      return;
+    }
+    var endTime = typeof frame.endTime === "number" ? frame.endTime : this._displayed.endTime;
+    this._bounds.zoomToTime(frame.startTime, endTime);
+  },
+
+  /**
+   * Sets the height of the main view's rows. When the trace is deeper
+   * than the rows which fit, the view scrolls vertically.
+   *
+   * @param {number} rowHeight
+   *        The height in CSS pixels, or 0 to fit every depth in the view.
+   */
+  setRowHeight: function(rowHeight) {
+    this._rowHeight = rowHeight;
+    if (this._mainView) {
+      this._mainView.setRowHeight(rowHeight, this._fitVisibleDepth);
+    }
+  },
+
+  /**
+   * Fits only the depths with frames in the current time window in the
+   * main view, whatever the row height, so that zooming into a shallow
+   * part of a deep trace makes its rows taller.
+   *
+   * @param {boolean} fit
+   */
+  setFitVisibleDepth: function(fit) {
+    this._fitVisibleDepth = fit;
+    if (this._mainView) {
+      this._mainView.setRowHeight(this._rowHeight, fit);
+    }
+  },
+
+  /**
+   * Scrolls the main view vertically.
+   *
+   * @param {integer} depth
+   *        The depth to show at the bottom of the view.
+   */
+  scrollToDepth: function(depth) {
+    this._bounds.setDepthWindow(depth, this._bounds.depthCount);
+  },
+
+  /**
+   * Keeps the newest activity of a trace which is still being recorded
+   * in view.
+   *
+   * @param {boolean} follow
+   */
+  setFollow: function(follow) {
+    this._bounds.follow = follow;
+  },
+
+  _onTraceUpdated: function() {
+    if (!this._requestedUpdate) {
+      this._requestedUpdate = window.requestAnimationFrame(this._update);
+    }
+  },
+
+  /**
+   * Extends the time range to the packets received since the last
+   * update. Merged flame graphs are snapshots, rebuilt only when the
+   * trace finishes.
+   */
+  _update: function() {
+    this._requestedUpdate = false;
+    if (this._displayed === this._trace) {
+      this._bounds.updateTotalTime(this._trace.totalTime);
+      this._bounds.updateMaxDepth(this._trace.maxDepth);
+    }
+  },
+
+  _onTraceFinished: function() {
+    var trace = this._trace;
+    trace.off("enteredFrame", this._onTraceUpdated);
+    trace.off("exitedFrame", this._onTraceUpdated);
+    trace.off("finished", this._onTraceFinished);
+
+    if (this._requestedUpdate) {
+      window.cancelAnimationFrame(this._requestedUpdate);
+      this._requestedUpdate = false;
+    }
+    if (this._displayed === trace) {
+      this._bounds.updateTotalTime(trace.totalTime);
+      this._colorScheme.setTrace(trace);
+      this._renderLegend();
+      this._updateActivations();
+      this.refresh();
+    } else {
+      this._showTrace();
+    }
+    this.emit("finished", trace);
+  },
+
+  /**
+   * Returns the displayed frame corresponding to the given frame, which
+   * may come from the trace rather than the displayed merged tree.
+   *
+   * @param {object} frame
+   */
+  _displayedFrame: function(frame) {
+    var displayed = this._displayed;
+    if (!frame || displayed.frames[frame.uid] === frame) {
+      return frame;
+    }
+    if (displayed.nodeForFrame) {
+      return displayed.nodeForFrame(frame);
+    }
+    return null;
+  },
+
   refresh: function() {
+    this._ruler._requestRender();
     this._mainView._requestRender();
     this._overview._requestRender();
   },
 
+  /**
+   * Selects a range of time, for example to see the time spent in each
+   * function during it.
+   *
+   * @param {number} startTime, endTime
+   *        The ends of the range, in either order, or null to clear the
+   *        selection.
+   */
+  selectRange: function(startTime, endTime) {
+    var range = null;
+    if (startTime !== null && typeof startTime === "number") {
+      range = {
+        startTime: Math.min(startTime, endTime),
+        endTime: Math.max(startTime, endTime)
+      };
+    }
+    if (!range && !this._range) {
+      return;
+    }
+    this._range = range;
+    this._ruler.setRange(range);
+    this._mainView.setRange(range);
+    this._overview.setRange(range);
+    this.emit("rangechanged", range);
+  },
+
+  /**
+   * Zooms the view to the selected time range.
+   */
+  zoomToRange: function() {
+    if (this._range) {
+      this._bounds.zoomToTime(this._range.startTime, this._range.endTime);
+    }
+  },
+
+  /**
+   * Selects a frame, highlighting it in every view.
+   *
+   * @param {object} frame
+   *        The frame to select, or null to clear the selection.
+   */
+  select: function(frame) {
+    frame = this._displayedFrame(frame) || null;
+    if (frame === this._selected) {
+      return;
+    }
+    this._selected = frame;
+
+    var uid = frame ? frame.uid : undefined;
+    this._mainView.setSelected(uid);
+    this._overview.setSelected(uid);
+    this._mainView.setException(exceptionChain(frame));
+
+    this.emit("selected", frame);
+  },
+
+  /**
+   * Highlights every frame of one function in every view.
+   *
+   * @param {integer} fid
+   *        The ID of the function to highlight, or undefined to clear
+   *        the highlight.
+   */
+  highlightFunction: function(fid) {
+    this._highlightedFid = fid;
+    this._mainView.setHighlightedFunction(fid);
+    this._overview.setHighlightedFunction(fid);
+  },
+
+  /**
+   * Sets how frames are colored, and shows the scheme's legend.
+   *
+   * @param {string|object} scheme
+   *        The name of a built-in scheme, one of this.colorSchemes, or a
+   *        scheme object as described in color-schemes.js.
+   */
+  setColorScheme: function(scheme) {
+    if (typeof scheme === "string") {
+      if (!COLOR_SCHEMES.hasOwnProperty(scheme)) {
+        throw new Error("Unknown color scheme: " + scheme);
+      }
+      scheme = new COLOR_SCHEMES[scheme]();
+    }
+    this._colorScheme = scheme;
+    if (this._displayed) {
+      scheme.setTrace(this._displayed);
+      this._renderLegend();
+    }
+    if (this._mainView) {
+      this._mainView.setColorScheme(scheme);
+      this._overview.setColorScheme(scheme);
+    }
+    this.emit("colorschemechanged", scheme);
+  },
+
+  _renderLegend: function() {
+    var doc = this.document;
+    var legend = this._legend;
+    while (legend.hasChildNodes()) {
+      legend.removeChild(legend.firstChild);
+    }
+
+    var title = doc.createElementNS(XHTML_NS, "div");
+    title.className = "trace-legend-title";
+    title.textContent = this._colorScheme.label;
+    legend.appendChild(title);
+
+    this._colorScheme.legend().forEach(function(entry) {
+      var row = doc.createElementNS(XHTML_NS, "div");
+      var swatch = doc.createElementNS(XHTML_NS, "span");
+      swatch.className = "trace-legend-swatch";
+      swatch.style.backgroundColor = entry.color;
+      row.appendChild(swatch);
+      row.appendChild(doc.createTextNode(entry.label));
+      legend.appendChild(row);
+    });
+  },
+
+  /**
+   * Highlights the frames matching a search query and dims the others.
+   *
+   * @param {string} query
+   *        The query, as accepted by frameMatcher, or an empty string to
+   *        clear the search.
+   * @throws {SyntaxError}
+   *         If the query is an invalid regular expression.
+   */
+  search: function(query) {
+    if (query) {
+      // Parse eagerly so invalid queries leave the current search alone.
+      frameMatcher(query);
+    }
+    this._query = query || "";
+    this._updateMatches();
+  },
+
+  _updateMatches: function() {
+    var matches = null;
+    var uids = null;
+    if (this._query && this._displayed) {
+      matches = searchFrames(this._displayed, this._query);
+      uids = Object.create(null);
+      for (var i = 0; i < matches.length; ++i) {
+        uids[matches[i].uid] = true;
+      }
+    }
+    this._matches = matches;
+    if (this._mainView) {
+      this._mainView.setMatches(uids);
+      this._overview.setMatches(uids);
+    }
+    this.emit("searchchanged", this.matches);
+  },
+
+  /**
+   * Passes the trace's markers to the views, in the time of the
+   * displayed tree. Only the timeline has the trace's time axis.
+   */
+  _updateMarkers: function() {
+    var displayed = this._displayed;
+    if (!displayed) {
+      return;
+    }
+    var markers = [];
+    if (this._mode === "timeline") {
+      var origin = this._timeOrigin();
+      markers = this._trace.markers.map(function(marker) {
+        return { time: marker.time - origin, name: marker.name };
+      });
+    }
+    this._mainView.setMarkers(markers);
+    this._overview.setMarkers(markers);
+  },
+
+  /**
+   * Passes the generator and async activations of the trace with more
+   * than one displayed segment to the main view, which links them.
+   */
+  _updateActivations: function() {
+    var stitched = this._mode === "timeline" && getActivations(this._trace);
+    var displayed = this._displayed;
+    var linked = [];
+    if (stitched) {
+      stitched.activations.forEach(function(activation) {
+        var segments = activation.segments;
+        if (displayed.focused) {
+          segments = segments.map(displayed.nodeForFrame, displayed).filter(Boolean);
+        }
+        if (segments.length > 1) {
+          linked.push(segments);
+        }
+      });
+    }
+    this._mainView.setActivations(linked);
+  },
+
+  /**
+   * Returns the activation of a generator or async function which a
+   * displayed frame is a segment of, or null.
+   *
+   * @param {object} frame
+   */
+  activationOf: function(frame) {
+    var stitched = getActivations(this._trace);
+    var traceFrame = this.traceFrame(frame);
+    return stitched && traceFrame && stitched.byUid[traceFrame.uid] || null;
+  },
+
+  /**
+   * Returns the time of the trace at which the displayed timeline starts:
+   * the start of the focused frame, if any.
+   */
+  _timeOrigin: function() {
+    var displayed = this._displayed;
+    return displayed.focused ? displayed.focus.startTime : 0;
+  },
+
+  /**
+   * Adds a marker to the trace, in the timeline, at the start of the
+   * selected range, or else of the selected frame, or else in the middle
+   * of the view.
+   *
+   * @param {string} name
+   * @return {object}
+   *         The marker, or null in the flame graph modes.
+   */
+  addMarker: function(name) {
+    if (this._mode !== "timeline") {
+      return null;
+    }
+    var time;
+    if (this._range) {
+      time = this._range.startTime;
+    } else if (this._selected) {
+      time = this._selected.startTime;
+    } else {
+      time = this._bounds.timeFromPercentage(this._bounds.center);
+    }
+    return this._trace.addMarker(time + this._timeOrigin(), name);
+  },
+
+  /**
+   * Centers the timeline on a marker of the trace, leaving flame graph
+   * modes and focus on frames which don't span it.
+   *
+   * @param {object} marker
+   */
+  revealMarker: function(marker) {
+    if (this._mode !== "timeline") {
+      this.setMode("timeline");
+    }
+    var time = marker.time - this._timeOrigin();
+    if (time < 0 || time > this._displayed.endTime) {
+      this.focus(null);
+      time = marker.time;
+    }
+    this._bounds.follow = false;
+    this._bounds.center = this._bounds.percentageFromTime(time);
+  },
+
+  /**
+   * Returns the frame of the trace which a displayed frame stands for, or
+   * null in the flame graph modes, whose frames stand for many calls.
+   *
+   * @param {object} frame
+   */
+  traceFrame: function(frame) {
+    return this._mode === "timeline" && frame ? this._treeFrame(frame) : null;
+  },
+
+  /**
+   * Returns the state of the view, from which setViewState can restore
+   * it: the mode, the bounds, the search query, the name of the color
+   * scheme, and the UIDs of the focused and selected frames in the tree
+   * shown in the mode, or null.
+   *
+   * @return {object}
+   */
+  getViewState: function() {
+    var selected = this._selected && this._treeFrame(this._selected);
+    var focused = this.focused;
+    return {
+      mode: this._mode,
+      focus: focused ? focused.uid : null,
+      left: this._bounds.left,
+      right: this._bounds.right,
+      selected: selected ? selected.uid : null,
+      query: this.query,
+      colors: this._colorScheme.name
+    };
+  },
+
+  /**
+   * Restores a state returned by getViewState, for example from a link.
+   * Properties which are missing or invalid are left alone.
+   *
+   * @param {object} state
+   */
+  setViewState: function(state) {
+    if (this.modes.indexOf(state.mode) !== -1) {
+      this.setMode(state.mode);
+    }
+    if (COLOR_SCHEMES.hasOwnProperty(state.colors) &&
+        state.colors !== this._colorScheme.name) {
+      this.setColorScheme(state.colors);
+    }
+    if (!this._trace) {
+      return;
+    }
+
+    if (state.focus === null) {
+      this.focus(null);
+    } else if (this._tree.frames[state.focus]) {
+      this.focus(this._tree.frames[state.focus]);
+    }
+    if (typeof state.left === "number" && typeof state.right === "number") {
+      this._bounds.setBounds(state.left, state.right, "restore");
+    }
+    if (state.selected === null) {
+      this.select(null);
+    } else if (this._tree.frames[state.selected]) {
+      this.select(this._tree.frames[state.selected]);
+    }
+    if (typeof state.query === "string" && state.query !== this.query) {
+      try {
+        this.search(state.query);
+      } catch (ex) {
+        // An invalid regular expression; keep the current search.
+      }
+    }
+  },
+
+  /**
+   * Selects a frame related to the selected one, and brings it into
+   * view. Without a selection, selects the first frame in view.
+   *
+   * @param {string} direction
+   *        "caller", "callee" (the first one), "previous" or "next".
+   */
+  moveSelection: function(direction) {
+    var frame = this._selected;
+    var target;
+    if (!frame) {
+      target = this._firstFrameInView();
+    } else if (direction === "caller") {
+      target = frame.older;
+    } else if (direction === "callee") {
+      target = frame.children[0];
+    } else if (direction === "previous") {
+      target = frame.previous;
+    } else if (direction === "next") {
+      target = frame.next;
+    }
+
+    // The caller of a root is the trace itself.
+    if (target && this._displayed.frames[target.uid] === target) {
+      this.select(target);
+      this.revealFrame(target);
+    }
+  },
+
+  _firstFrameInView: function() {
+    var children = this._displayed.children;
+    var idx = binarySearch(this._bounds.leftTime, children, function(time, child) {
+      return typeof child.endTime === "number" ? time - child.endTime : -1;
+    });
+    if (idx < 0) {
+      idx = -(idx + 1);
+    }
+    return children[idx] || children[children.length - 1];
+  },
+
+  /**
+   * Selects a frame of the trace and shows it in the timeline, leaving
+   * flame graph modes and any focus which doesn't include it.
+   *
+   * @param {object} frame
+   */
+  showTraceFrame: function(frame) {
+    if (this._mode !== "timeline") {
+      this.setMode("timeline");
+    }
+    if (!this._displayedFrame(frame)) {
+      this.focus(null);
+    }
+    this.select(frame);
+    this.revealFrame(frame);
+  },
+
+  /**
+   * Pans and scrolls the view as little as needed to show a frame.
+   *
+   * @param {object} frame
+   */
+  revealFrame: function(frame) {
+    frame = this._displayedFrame(frame);
+    if (!frame) {
+      return;
+    }
+    var bounds = this._bounds;
+    var endTime = typeof frame.endTime === "number" ? frame.endTime : this._displayed.endTime;
+    if (endTime < bounds.leftTime || frame.startTime > bounds.rightTime) {
+      this.showFrame(frame);
+    }
+    if (frame.depth < bounds.firstDepth) {
+      bounds.setDepthWindow(frame.depth, bounds.depthCount);
+    } else if (frame.depth > bounds.lastDepth) {
+      bounds.setDepthWindow(frame.depth - bounds.depthCount + 1, bounds.depthCount);
+    }
+  },
+
+  /**
+   * Shows the whole displayed trace, from the bottom row.
+   */
+  resetView: function() {
+    this._bounds.setBounds(0.0, 1.0, "zoom");
+    this._bounds.setDepthWindow(0, this._bounds.depthCount);
+  },
+
+  /**
+   * Shows or hides the overlay listing the keyboard bindings.
+   *
+   * @param {boolean} show
+   *        Whether to show it. Toggles it if omitted.
+   */
+  toggleHelp: function(show) {
+    if (typeof show !== "boolean") {
+      show = this._help.hidden;
+    }
+    this._help.hidden = !show;
+  },
+
+  _createHelp: function() {
+    var doc = this.document;
+    var help = doc.createElementNS(XHTML_NS, "div");
+    help.className = "trace-help";
+    help.hidden = true;
+    help.addEventListener("click", this.toggleHelp.bind(this, false));
+
+    var title = doc.createElementNS(XHTML_NS, "div");
+    title.className = "trace-help-title";
+    title.textContent = "Keyboard shortcuts";
+    help.appendChild(title);
+
+    var table = doc.createElementNS(XHTML_NS, "table");
+    this.keyBindings.forEach(function(binding) {
+      var row = doc.createElementNS(XHTML_NS, "tr");
+      var key = doc.createElementNS(XHTML_NS, "td");
+      var kbd = doc.createElementNS(XHTML_NS, "kbd");
+      kbd.textContent = binding.label;
+      key.appendChild(kbd);
+      row.appendChild(key);
+      var description = doc.createElementNS(XHTML_NS, "td");
+      description.textContent = binding.description;
+      row.appendChild(description);
+      table.appendChild(row);
+    });
+    help.appendChild(table);
+    return help;
+  },
+
+  _onKeyDown: function(ev) {
+    if (ev.ctrlKey || ev.metaKey || ev.altKey || !this._displayed) {
+      return;
+    }
+    var binding = this.keyBindings.find(function(binding) {
+      return binding.keys.indexOf(ev.key) !== -1;
+    });
+    if (binding) {
+      ev.preventDefault();
+      binding.action(this);
+    }
+  },
+
+  /**
+   * Pans the view so that the given frame is centered.
+   *
+   * @param {object} frame
+   */
+  showFrame: function(frame) {
+    frame = this._displayedFrame(frame);
+    if (!frame) {
+      return;
+    }
+    var bounds = this._bounds;
+    var endTime = typeof frame.endTime === "number" ? frame.endTime : this._displayed.endTime;
+    bounds.center = bounds.percentageFromTime((frame.startTime + endTime) / 2);
+  },
+
+  /**
+   * Shows a tooltip describing a frame next to the mouse pointer.
+   *
+   * @param {object} frame
+   *        The frame to describe.
+   * @param {MouseEvent} ev
+   *        The mouse event giving the pointer position.
+   */
+  showTooltip: function(frame, ev) {
+    var doc = this.document;
+    var tooltip = this._tooltip;
+
+    while (tooltip.hasChildNodes()) {
+      tooltip.removeChild(tooltip.firstChild);
+    }
+
+    function addLine(className, text) {
+      var line = doc.createElementNS(XHTML_NS, "div");
+      line.className = className;
+      line.textContent = text;
+      tooltip.appendChild(line);
+    }
+
+    addLine("trace-tooltip-name", frame.name || "(anonymous)");
+    if (frame.location) {
+      addLine("trace-tooltip-location", formatLocation(frame.location));
+    }
+    addLine("trace-tooltip-time",
+            "Total: " + formatTime(frame.totalTime) +
+            ", self: " + formatTime(frame.selfTime));
+    if (typeof frame.count === "number") {
+      addLine("trace-tooltip-outcome",
+              frame.count + (frame.count === 1 ? " call" : " calls"));
+    } else {
+      addLine("trace-tooltip-outcome", describeOutcome(frame));
+    }
+
+    var activation = this.activationOf(frame);
+    if (activation) {
+      var segment = activation.segments.indexOf(this.traceFrame(frame)) + 1;
+      addLine("trace-tooltip-activation",
+              "Segment " + segment + " of " + activation.segments.length +
+              (activation.suspended ? " (suspended)" : "") +
+              ": wall " + formatTime(activation.wallTime) +
+              ", running " + formatTime(activation.runningTime));
+    }
+
+    var traceFrame = this.traceFrame(frame);
+    var comment = traceFrame && this._trace.comments[traceFrame.uid];
+    if (comment) {
+      addLine("trace-tooltip-comment", comment);
+    }
+
+    tooltip.style.left = (ev.clientX + 12) + "px";
+    tooltip.style.top = (ev.clientY + 12) + "px";
+    tooltip.hidden = false;
+  },
+
+  hideTooltip: function() {
+    this._tooltip.hidden = true;
+  },
+
   _onResize: function() {
     var rect = this.element.getBoundingClientRect();
     var overviewHeight = (rect.height / 4) | 0;
 
-    this._mainView.resize(rect.width, rect.height - overviewHeight);
+    this._ruler.resize(rect.width - SCROLLBAR_WIDTH, RULER_HEIGHT);
+    this._mainView.resize(rect.width, rect.height - overviewHeight - RULER_HEIGHT);
     this._overview.resize(rect.width, overviewHeight);
   },
 };
@@ -60,6 +1048,8 @@ function TraceBounds() {
 TraceBounds.prototype = {
   _minimumIntervalTime: 3,
 
+  _follow: false,
+
   get _minimumIntervalWidth() {
     return this._minimumIntervalTime / this._totalTime;
   },
@@ -90,12 +1080,114 @@ TraceBounds.prototype = {
   get intervalWidth() { return this._right - this._left; },
   get intervalTime()  { return this.rightTime - this.leftTime; },
 
+  /**
+   * Whether the bounds stay at the end of a trace which is still being
+   * recorded. Panning away from the end turns this off.
+   */
+  get follow()        { return this._follow; },
+  set follow(follow)  {
+    follow = !!follow;
+    if (follow === this._follow) {
+      return;
+    }
+    this._follow = follow;
+    if (follow && this._right < 1.0) {
+      this.setBounds(1.0 - this.intervalWidth, 1.0, "follow");
+    }
+    this.emit("followchanged", follow);
+  },
+
+  /**
+   * The range of depths shown by the main view: the depth of its bottom
+   * row, and the number of rows it shows.
+   */
+  _firstDepth: 0,
+  _depthCount: 1,
+  _maxDepth: 0,
+
+  get firstDepth()    { return this._firstDepth; },
+  get depthCount()    { return this._depthCount; },
+  get lastDepth()     { return this._firstDepth + this._depthCount - 1; },
+  get maxDepth()      { return this._maxDepth; },
+
   setTrace: function(trace) {
-    this._totalTime = trace.totalTime;
+    this._totalTime = trace.totalTime || 0;
+    this._maxDepth = trace.maxDepth || 0;
+    this._firstDepth = 0;
     this._left = 0.0;
     this._right = 1.0;
   },
 
+  /**
+   * Sets the range of depths shown by the main view, keeping it within
+   * the trace's depths.
+   *
+   * @param {integer} firstDepth
+   *        The depth of the bottom row.
+   * @param {integer} depthCount
+   *        The number of rows.
+   */
+  setDepthWindow: function(firstDepth, depthCount) {
+    depthCount = Math.max(1, depthCount | 0);
+    firstDepth = Math.min(firstDepth | 0, this._maxDepth + 1 - depthCount);
+    firstDepth = Math.max(0, firstDepth);
+    if (firstDepth === this._firstDepth && depthCount === this._depthCount) {
+      return;
+    }
+    this._firstDepth = firstDepth;
+    this._depthCount = depthCount;
+    this.emit("changed", "depth");
+  },
+
+  /**
+   * Scrolls the depth window.
+   *
+   * @param {integer} rows
+   *        How many rows to scroll up (towards deeper frames), or down if
+   *        negative.
+   */
+  scrollDepth: function(rows) {
+    this.setDepthWindow(this._firstDepth + rows, this._depthCount);
+  },
+
+  /**
+   * Updates the depth range for a trace which has grown deeper.
+   *
+   * @param {integer} maxDepth
+   */
+  updateMaxDepth: function(maxDepth) {
+    if (maxDepth !== this._maxDepth) {
+      this._maxDepth = maxDepth;
+      this.emit("changed", "depth");
+    }
+  },
+
+  /**
+   * Updates the bounds for a trace which has grown. The visible time
+   * range stays where it was, unless following the end of the trace, in
+   * which case the range keeps its length and moves to the end.
+   *
+   * @param {number} totalTime
+   *        The new total time of the trace.
+   */
+  updateTotalTime: function(totalTime) {
+    var oldTotalTime = this._totalTime;
+    if (!totalTime || totalTime === oldTotalTime) {
+      return;
+    }
+    var leftTime = this.leftTime;
+    var rightTime = this.rightTime;
+    this._totalTime = totalTime;
+
+    if (!oldTotalTime || (this._left === 0.0 && this._right === 1.0)) {
+      this.setBounds(0.0, 1.0, "grow");
+    } else if (this._follow) {
+      this.setBounds(1.0 - (rightTime - leftTime) / totalTime, 1.0, "grow");
+    } else {
+      this.setBounds(leftTime / totalTime, rightTime / totalTime, "grow");
+    }
+  },
+
   setBounds: function(left, right, why) {
     if (left > right) {
       [left, right] = [right, left];
@@ -103,6 +1195,11 @@ TraceBounds.prototype = {
     this._left  = Math.max(Math.min(left || 0, 1.0), 0.0);
     this._right = Math.max(Math.min(right || 1, 1.0), 0.0);
 
+    if (this._follow && this._right < 1.0 && (why === "pan" || why === "zoom")) {
+      this._follow = false;
+      this.emit("followchanged", false);
+    }
+
     this.emit("changed", why);
   },
 
@@ -122,14 +1219,36 @@ TraceBounds.prototype = {
     return percent * this._totalTime;
   },
 
+  /**
+   * Zooms to a span of time. Spans taking no time get the minimum
+   * interval around them.
+   *
+   * @param {number} startTime, endTime
+   */
+  zoomToTime: function(startTime, endTime) {
+    var left = this.percentageFromTime(startTime);
+    var right = this.percentageFromTime(endTime);
+    if (right <= left) {
+      var width = this._minimumIntervalWidth;
+      left = Math.max(0.0, Math.min(left - width / 2, 1.0 - width));
+      right = left + width;
+    }
+    this.setBounds(left, right, "zoom");
+  },
+
   zoom: function(value, centerPercent) {
     var zoom = this.intervalWidth * value / 500;
     var minWidth = this._minimumIntervalWidth;
     if (this.intervalWidth + 2 * zoom < minWidth) {
       var center = this.center;
+      if (this._follow && this._right === 1.0) {
+        center = 1.0 - minWidth / 2;
+      }
       this.setBounds(center - minWidth / 2, center + minWidth / 2, "zoom");
     } else {
-      if (typeof centerPercent === "undefined") {
+      if (this._follow && this._right === 1.0) {
+        centerPercent = 1.0;
+      } else if (typeof centerPercent === "undefined") {
         centerPercent = 0.5;
       }
       var lZoom = zoom * centerPercent;
@@ -159,11 +1278,11 @@ function TraceView(graph, bounds) {
 
   this._graph = graph;
 
-  var canvas = doc.createElementNS("http://www.w3.org/1999/xhtml", "canvas");
+  var canvas = doc.createElementNS(XHTML_NS, "canvas");
   this._canvas = canvas;
   this._ctx = canvas.getContext("2d");
 
-  var buffer = doc.createElementNS("http://www.w3.org/1999/xhtml", "canvas");
+  var buffer = doc.createElementNS(XHTML_NS, "canvas");
   this._buffer = buffer;
   this._bufCtx = buffer.getContext('2d');
 
@@ -191,6 +1310,20 @@ TraceView.prototype = {
     this._requestRender();
   },
 
+  /**
+   * Stops listening to the bounds and any pending render.
+   */
+  destroy: function() {
+    if (this._bounds) {
+      this._bounds.off("changed", this._onBoundsChanged);
+    }
+    if (this._requestedRender) {
+      window.cancelAnimationFrame(this._requestedRender);
+      this._requestedRender = false;
+    }
+    this._trace = null;
+  },
+
   resize: function(width, height) {
     var canvas = this._canvas, buffer = this._buffer;
 
@@ -223,30 +1356,90 @@ TraceView.prototype = {
 
   _doRender: function() {},
 
-  _renderFrame: function(frame) {
-    var ctx = this._ctx;
-    var selected = frame.uid === this._selected;
-    var color;
+  setSelected: function(uid) {
+    this._selected = uid;
+    this._requestRender();
+  },
 
-    if (selected) {
-      color = "yellow";
-    } else {
-      if (!colors.has(frame.name)) {
-        colors.set(frame.name, getColor());
-      }
-      color = colors.get(frame.name);
-    }
+  setHighlightedFunction: function(fid) {
+    this._highlightedFid = fid;
+    this._requestRender();
+  },
 
-    var rect = this._frameRect(frame);
+  setColorScheme: function(scheme) {
+    this._colorScheme = scheme;
+    this._requestRender();
+  },
+
+  /**
+   * @param {object} range
+   *        The selected time range, see TraceGraph.range.
+   */
+  setRange: function(range) {
+    this._range = range;
+    this._requestRender();
+  },
+
+  /**
+   * @param {object} uids
+   *        A set of the UIDs of frames matching the current search, or
+   *        null if there is no search.
+   */
+  setMatches: function(uids) {
+    this._matches = uids;
+    this._requestRender();
+  },
+
+  /**
+   * @param {array} markers
+   *        The markers to draw, with their times in the displayed tree.
+   */
+  setMarkers: function(markers) {
+    this._markers = markers;
+    this._requestRender();
+  },
+
+  /**
+   * Draws a frame.
+   *
+   * @param {object} frame
+   * @param {CanvasRenderingContext2D} ctx
+   *        The context to draw to. Defaults to the view's canvas.
+   * @param {number} timeSpan
+   *        For views which are not zoomed, the time spanned by the
+   *        context's width. Defaults to the trace's total time.
+   */
+  _renderFrame: function(frame, ctx, timeSpan) {
+    ctx = ctx || this._ctx;
+    var selected = frame.uid === this._selected;
+    var matched = this._matches && this._matches[frame.uid];
+    var dimmed = this._matches && !matched && !selected;
+
+    var rect = this._frameRect(frame, timeSpan);
     var x = rect[0];
     var y = rect[1];
     var w = rect[2];
     var h = rect[3];
 
-    ctx.fillStyle = color;
+    ctx.fillStyle = this._fillStyle(frame);
+    ctx.globalAlpha = dimmed ? 0.2 : 1.0;
     ctx.fillRect(x, y, w, h);
 
-    if (this._showNames && w > 20) {
+    // Mark the end of frames which exited by throwing.
+    if (this._showNames && w > 2 * DPR && "throw" in frame) {
+      var markWidth = Math.min(3 * DPR, w / 2);
+      ctx.fillStyle = THROW_COLOR;
+      ctx.fillRect(x + w - markWidth, y, markWidth, h);
+    }
+    ctx.globalAlpha = 1.0;
+
+    if (matched && this._showNames && w > 2) {
+      ctx.strokeStyle = "black";
+      ctx.lineWidth = DPR;
+      ctx.strokeRect(x + DPR / 2, y + DPR / 2, w - DPR, h - DPR);
+    }
+
+    if (this._showNames && w > 20 && !dimmed) {
       var hPadding = 3 * DPR;
       var vPadding = 1 * DPR;
       var maxWidth = (x < 0) ? w + x - hPadding : w - 2 * hPadding;
@@ -275,19 +1468,269 @@ TraceView.prototype = {
     }
   },
 
-  _frameRect: function(frame) {
+  /**
+   * Draws the frames of a finished trace between two times from its
+   * summary, so that frames narrower than a pixel are merged into blocks
+   * and the cost does not grow with the number of frames.
+   *
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} leftTime, rightTime
+   *        The times at the edges of the context.
+   * @param {number} timeSpan
+   *        See _renderFrame.
+   */
+  _renderBlocks: function(ctx, leftTime, rightTime, timeSpan) {
+    var summary = getTraceSummary(this._trace);
+    var frames = this._trace.frames;
+    var timePerPixel = (rightTime - leftTime) / this._canvas.width;
+    var rows = this._rowLayout();
+    var lastDepth = Math.min(summary.depths.length - 1,
+                             rows[0] + Math.ceil(this._canvas.height / rows[1]) - 1);
+
+    // Merged blocks are marked for any of their frames, not only their
+    // representative.
+    var counts = this._blockCounts(summary);
+    var selectedFrame = typeof this._selected === "number" ? frames[this._selected] : null;
+    var selectedIndex = selectedFrame ? summary.indexOf(selectedFrame) : -1;
+
+    for (var depth = rows[0]; depth <= lastDepth; ++depth) {
+      var level = summary.levelFor(depth, timePerPixel);
+      var i = summary.firstBlockAt(level, leftTime);
+      for (; i < level.length && level.startTimes[i] <= rightTime; ++i) {
+        var frame = frames[level.reps[i]];
+        if (level.counts[i] === 1) {
+          this._renderFrame(frame, ctx, timeSpan);
+          continue;
+        }
+
+        var startTime = level.startTimes[i];
+        var rect = this._timeRect(startTime, level.endTimes[i] - startTime,
+                                  depth, timeSpan);
+        var selected = selectedIndex !== -1 && depth === selectedFrame.depth &&
+                       selectedIndex >= level.firsts[i] &&
+                       selectedIndex < level.firsts[i] + level.counts[i];
+        var dimmed = counts.matched && !selected &&
+                     !summary.blockCount(counts.matched, depth, level, i);
+        if (selected) {
+          ctx.fillStyle = "yellow";
+        } else if (counts.highlighted && summary.blockCount(counts.highlighted, depth, level, i)) {
+          ctx.fillStyle = "darkorange";
+        } else {
+          ctx.fillStyle = this._colorScheme.colorOf(frame);
+        }
+        ctx.globalAlpha = dimmed ? 0.2 : 1.0;
+        ctx.fillRect(rect[0], rect[1], rect[2], rect[3]);
+        ctx.globalAlpha = 1.0;
+      }
+    }
+  },
+
+  /**
+   * Returns the counts (see TraceSummary.countFrames) of the frames of
+   * the highlighted function and of the search matches, or null for
+   * either if there are none, counting them again only when they change.
+   */
+  _blockCounts: function(summary) {
+    var cached = this._cachedBlockCounts;
+    if (!cached || cached.summary !== summary) {
+      cached = this._cachedBlockCounts = { summary: summary };
+    }
+    var fid = this._highlightedFid;
+    if (!("highlighted" in cached) || cached.fid !== fid) {
+      cached.fid = fid;
+      cached.highlighted = typeof fid === "number" ? summary.countFrames(function(frame) {
+        return frame.fid === fid;
+      }) : null;
+    }
+    var matches = this._matches;
+    if (!("matched" in cached) || cached.matches !== matches) {
+      cached.matches = matches;
+      cached.matched = matches ? summary.countFrames(function(frame) {
+        return !!matches[frame.uid];
+      }) : null;
+    }
+    return cached;
+  },
+
+  /**
+   * Shades the selected time range, returning its left and right x
+   * coordinates, or null if there is no range.
+   */
+  _renderRange: function(ctx) {
+    var range = this._range;
+    if (!range) {
+      return null;
+    }
+    var rect = this._timeRect(range.startTime, range.endTime - range.startTime, 0);
+    var left = rect[0];
+    var right = rect[0] + Math.max(rect[2], DPR);
+    ctx.fillStyle = "rgba(70, 130, 180, 0.25)";
+    ctx.fillRect(left, 0, right - left, this._canvas.height);
+    return [left, right];
+  },
+
+  /**
+   * @param {array} activations
+   *        The displayed segments of each activation to link.
+   */
+  setActivations: function(activations) {
+    this._activations = activations;
+    this._requestRender();
+  },
+
+  /**
+   * Links the segments of each activation in view, from where each was
+   * suspended to where the next resumed. The selected frame's activation
+   * stands out.
+   */
+  _renderActivations: function(ctx) {
+    var activations = this._activations || [];
+    var leftTime = this._bounds.leftTime;
+    var rightTime = this._bounds.rightTime;
+    ctx.lineWidth = DPR;
+
+    for (var i = 0; i < activations.length; ++i) {
+      var segments = activations[i];
+      var last = segments[segments.length - 1];
+      if (segments[0].startTime > rightTime || last.endTime < leftTime) {
+        continue;
+      }
+      var selected = segments.some(function(frame) {
+        return frame.uid === this._selected;
+      }, this);
+      ctx.strokeStyle = selected ? "black" : "rgba(0, 0, 0, 0.4)";
+      ctx.lineWidth = selected ? 2 * DPR : DPR;
+      ctx.setLineDash(selected ? [] : [3 * DPR, 3 * DPR]);
+      ctx.beginPath();
+      for (var j = 1; j < segments.length; ++j) {
+        var from = this._frameRect(segments[j - 1]);
+        var to = this._frameRect(segments[j]);
+        ctx.moveTo(from[0] + from[2], from[1] + from[3] / 2);
+        ctx.lineTo(to[0], to[1] + to[3] / 2);
+      }
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+  },
+
+  /**
+   * @param {object} exception
+   *        The chain of displayed frames unwinding an exception, as
+   *        returned by exceptionChain, or null.
+   */
+  setException: function(exception) {
+    this._exception = exception;
+    this._requestRender();
+  },
+
+  /**
+   * Links the frames unwinding the exception being shown, from where
+   * each exited to its caller, ending in the frame which caught it.
+   */
+  _renderException: function(ctx) {
+    var exception = this._exception;
+    if (!exception) {
+      return;
+    }
+    var frames = exception.frames;
+    var points = frames.map(function(frame) {
+      var rect = this._frameRect(frame);
+      return [rect[0] + rect[2], rect[1] + rect[3] / 2];
+    }, this);
+    var top = frames[frames.length - 1];
+    if (exception.catcher) {
+      var rect = this._timeRect(top.endTime, 0, exception.catcher.depth);
+      points.push([rect[0], rect[1] + rect[3] / 2]);
+    }
+
+    ctx.strokeStyle = THROW_COLOR;
+    ctx.fillStyle = THROW_COLOR;
+    ctx.lineWidth = 2 * DPR;
+    ctx.beginPath();
+    for (var i = 0; i < points.length; ++i) {
+      ctx[i ? "lineTo" : "moveTo"](points[i][0], points[i][1]);
+    }
+    ctx.stroke();
+    var radius = 3 * DPR;
+    for (var j = 0; j < points.length; ++j) {
+      ctx.beginPath();
+      ctx.arc(points[j][0], points[j][1], radius, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+  },
+
+  /**
+   * Draws a line across the view at each marker in it, and in views with
+   * room for them, the markers' names.
+   */
+  _renderMarkers: function(ctx, labels) {
+    var markers = this._markers || [];
+    var height = this._canvas.height;
+    ctx.lineWidth = DPR;
+    ctx.strokeStyle = "rgb(200, 30, 120)";
+    ctx.fillStyle = "rgb(200, 30, 120)";
+    ctx.font = (10 * DPR) + "px sans-serif";
+    ctx.textBaseline = "top";
+    for (var i = 0; i < markers.length; ++i) {
+      var x = Math.round(this._timeRect(markers[i].time, 0, 0)[0]) + DPR / 2;
+      if (x < 0 || x > this._canvas.width) {
+        continue;
+      }
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+      if (labels) {
+        ctx.fillText(markers[i].name, x + 2 * DPR, 2 * DPR);
+      }
+    }
+  },
+
+  /**
+   * Returns the fill color of a frame.
+   */
+  _fillStyle: function(frame) {
+    if (frame.uid === this._selected) {
+      return "yellow";
+    }
+    if (frame.fid === this._highlightedFid) {
+      return "darkorange";
+    }
+    return this._colorScheme.colorOf(frame);
+  },
+
+  _frameRect: function(frame, timeSpan) {
+    // Frames which have not exited yet extend to the end of the trace.
+    var totalTime = typeof frame.endTime === "number"
+      ? frame.totalTime
+      : this._trace.endTime - frame.startTime;
+
+    return this._timeRect(frame.startTime, totalTime, frame.depth, timeSpan);
+  },
+
+  /**
+   * Returns the rectangle [x, y, width, height] covering a span of time
+   * at a depth.
+   */
+  _timeRect: function(startTime, totalTime, depth, timeSpan) {
     var trace  = this._trace;
     var bounds = this._bounds;
     var zoomed = this._isZoomView;
     var width  = this._canvas.width;
     var height = this._canvas.height;
 
-    var x = width * bounds.percentageFromTime(frame.startTime, zoomed);
-    var w = width * (frame.endTime
-                     ? frame.totalTime / (zoomed ? bounds.intervalTime : trace.totalTime)
-                     : 1.0);
-    var h = height / trace.maxDepth;
-    var y = height - (frame.depth + 1) * h;
+    var x, w;
+    if (zoomed) {
+      x = width * bounds.percentageFromTime(startTime, true);
+      w = width * totalTime / bounds.intervalTime;
+    } else {
+      timeSpan = timeSpan || trace.totalTime;
+      x = width * startTime / timeSpan;
+      w = width * totalTime / timeSpan;
+    }
+    var rows = this._rowLayout();
+    var h = rows[1];
+    var y = height - (depth - rows[0] + 1) * h;
 
     if (this._vGap && h > this._vGap) {
       h -= this._vGap;
@@ -296,10 +1739,70 @@ TraceView.prototype = {
     return [x, y, w, h];
   },
 
+  /**
+   * Returns the depth of the bottom row and the height of a row, in
+   * canvas pixels. By default every depth fits the canvas.
+   */
+  _rowLayout: function() {
+    return [0, this._canvas.height / (this._trace.maxDepth + 1)];
+  },
+
+  /**
+   * Returns the time under the given x coordinate, in CSS pixels.
+   *
+   * @param {number} x
+   */
+  _timeAt: function(x) {
+    var percent = x * DPR / this._canvas.width;
+    return this._bounds.timeFromPercentage(percent, this._isZoomView);
+  },
+
+  /**
+   * Returns the frame drawn under the given point, in CSS pixels, or
+   * null if there is none. Uses the same layout as _frameRect.
+   *
+   * @param {number} x
+   * @param {number} y
+   */
+  _frameAt: function(x, y) {
+    var trace = this._trace;
+    if (!trace || !trace.children.length) {
+      return null;
+    }
+
+    var height = this._canvas.height;
+    var rows = this._rowLayout();
+    var depth = rows[0] + Math.floor((height - y * DPR) / rows[1]);
+    if (depth < rows[0] || depth > trace.maxDepth) {
+      return null;
+    }
+
+    var time = this._timeAt(x);
+    var comparator = function(time, child) {
+      if (time < child.startTime) {
+        return -1;
+      }
+      if (typeof child.endTime === "number" && time > child.endTime) {
+        return 1;
+      }
+      return 0;
+    };
+
+    var frame = trace;
+    for (var d = 0; d <= depth; ++d) {
+      var idx = binarySearch(time, frame.children, comparator);
+      if (idx < 0) {
+        return null;
+      }
+      frame = frame.children[idx];
+    }
+    return frame;
+  },
+
   _zoom: function(ev, dx, dy) {
     ev.preventDefault();
 
-    if (!this._trace || !this._trace.finished) {
+    if (!this._trace) {
       return;
     }
 
@@ -337,37 +1840,254 @@ function MainView(graph, bounds) {
   this._isZoomView = true;
   this._showNames = true;
 
-  var mousePressed, dragging, dragX;
+  // A native scrollbar for the depth window, scrolling a spacer as tall
+  // as every row would be.
+  var doc = graph.element.ownerDocument;
+  this._scrollbar = doc.createElementNS(XHTML_NS, "div");
+  this._scrollbar.className = "depth-scrollbar";
+  this._scrollSpacer = doc.createElementNS(XHTML_NS, "div");
+  this._scrollbar.appendChild(this._scrollSpacer);
+  this._scrollbar.addEventListener("scroll", this._onScroll.bind(this));
+  graph.element.appendChild(this._scrollbar);
+
+  // Dragging pans the view, and dragging with shift pressed selects a
+  // time range from the time rangeStart.
+  var mousePressed, dragging, dragX, dragY, rangeStart = null;
   this._canvas.addEventListener("mousedown", function(ev) {
+    if (ev.shiftKey) {
+      rangeStart = this._timeAt(ev.layerX);
+      this._graph.hideTooltip();
+      return;
+    }
     mousePressed = true;
     dragX = ev.layerX;
+    dragY = ev.layerY;
   }.bind(this));
   this._canvas.addEventListener("mousemove", function(ev) {
-    if (mousePressed) {
+    if (rangeStart !== null) {
+      this._graph.selectRange(rangeStart, this._timeAt(ev.layerX));
+      return;
+    }
+    if (mousePressed && (ev.layerX !== dragX || ev.layerY !== dragY)) {
       dragging = true;
     }
     if (dragging) {
+      this._graph.hideTooltip();
       this._bounds.panByPercent((dragX - ev.layerX) / this._width);
       dragX = ev.layerX;
+      // Rows follow the pointer, so dragging down shows deeper frames.
+      var rowHeight = this._rowLayout()[1] / DPR;
+      var rows = Math.trunc((ev.layerY - dragY) / rowHeight);
+      if (rows) {
+        this._bounds.scrollDepth(rows);
+        dragY += rows * rowHeight;
+      }
+    } else {
+      this._onHover(ev);
     }
   }.bind(this));
   this._canvas.addEventListener("mouseup", function(ev) {
+    if (mousePressed && !dragging) {
+      this._graph.select(this._frameAt(ev.layerX, ev.layerY));
+    }
     mousePressed = false;
     dragging = false;
+    rangeStart = null;
   }.bind(this));
   this._canvas.addEventListener("mouseout", function() {
     mousePressed = false;
     dragging = false;
+    rangeStart = null;
+    this._graph.hideTooltip();
+  }.bind(this));
+  this._canvas.addEventListener("dblclick", function(ev) {
+    var frame = this._frameAt(ev.layerX, ev.layerY);
+    if (frame) {
+      this._graph.zoomToFrame(frame);
+    }
   }.bind(this));
 }
 
+// The width of the depth scrollbar, in CSS pixels.
+var SCROLLBAR_WIDTH = 14;
+
 MainView.prototype = {
+  _rowHeight: 0,
+
+  _fitVisible: false,
+
+  setTrace: function(trace) {
+    TraceView.prototype.setTrace.call(this, trace);
+    this._updateDepthWindow();
+  },
+
+  resize: function(width, height) {
+    this._scrollbar.style.width = SCROLLBAR_WIDTH + "px";
+    this._scrollbar.style.height = height + "px";
+    TraceView.prototype.resize.call(this, width - SCROLLBAR_WIDTH, height);
+    this._updateDepthWindow();
+  },
+
+  /**
+   * @param {number} rowHeight
+   *        See TraceGraph.setRowHeight.
+   * @param {boolean} fitVisible
+   *        See TraceGraph.setFitVisibleDepth.
+   */
+  setRowHeight: function(rowHeight, fitVisible) {
+    this._rowHeight = rowHeight;
+    this._fitVisible = fitVisible;
+    this._updateDepthWindow();
+    this._requestRender();
+  },
+
+  /**
+   * Sets the number of rows in the depth window from the row height and
+   * the canvas height, or the rows to fit.
+   */
+  _updateDepthWindow: function() {
+    var trace = this._trace;
+    var bounds = this._bounds;
+    if (!trace || !this._height) {
+      return;
+    }
+
+    if (this._fitVisible) {
+      var range = this._visibleDepthRange();
+      bounds.setDepthWindow(range[0], range[1] - range[0] + 1);
+    } else if (this._rowHeight) {
+      bounds.setDepthWindow(bounds.firstDepth, Math.ceil(this._height / this._rowHeight));
+    } else {
+      bounds.setDepthWindow(0, trace.maxDepth + 1);
+    }
+    this._updateScrollbar();
+  },
+
+  /**
+   * Returns the lowest and highest depths with frames between the left
+   * and right bounds.
+   */
+  _visibleDepthRange: function() {
+    var trace = this._trace;
+    var leftTime = this._bounds.leftTime;
+    var rightTime = this._bounds.rightTime;
+    var range = [Infinity, -Infinity];
+
+    if (trace.finished) {
+      var summary = getTraceSummary(trace);
+      for (var depth = 0; depth < summary.depths.length; ++depth) {
+        var level = summary.depths[depth][0];
+        var i = summary.firstBlockAt(level, leftTime);
+        if (i < level.length && level.startTimes[i] <= rightTime) {
+          range[0] = Math.min(range[0], depth);
+          range[1] = depth;
+        }
+      }
+    } else {
+      this._forEachVisibleChild(trace, function(child) {
+        range[0] = Math.min(range[0], child.depth);
+        range[1] = Math.max(range[1], child.depth);
+        return true;
+      });
+    }
+
+    if (range[0] > range[1]) {
+      return [0, trace.maxDepth];
+    }
+    return range;
+  },
+
+  _rowLayout: function() {
+    var bounds = this._bounds;
+    var rowHeight = this._rowHeight && !this._fitVisible
+      ? this._rowHeight * DPR
+      : this._canvas.height / bounds.depthCount;
+    return [bounds.firstDepth, rowHeight];
+  },
+
+  /**
+   * Sizes and scrolls the scrollbar to match the depth window, with the
+   * first depth at the bottom.
+   */
+  _updateScrollbar: function() {
+    var bounds = this._bounds;
+    var rowHeight = this._rowLayout()[1] / DPR;
+    var scrollHeight = Math.max(this._height, (bounds.maxDepth + 1) * rowHeight);
+    this._scrollSpacer.style.height = scrollHeight + "px";
+    this._scrollbar.scrollTop = scrollHeight - this._height - bounds.firstDepth * rowHeight;
+  },
+
+  _onScroll: function() {
+    var bounds = this._bounds;
+    var rowHeight = this._rowLayout()[1] / DPR;
+    var scrollBottom = this._scrollbar.scrollHeight - this._scrollbar.clientHeight -
+                       this._scrollbar.scrollTop;
+    var depth = Math.round(scrollBottom / rowHeight);
+    if (depth !== bounds.firstDepth) {
+      bounds.setDepthWindow(depth, bounds.depthCount);
+    }
+  },
+
+  _zoom: function(ev, dx, dy) {
+    if (!ev.shiftKey) {
+      TraceView.prototype._zoom.call(this, ev, dx, dy);
+      return;
+    }
+    // Shift scrolls vertically, like a page: scrolling down shows
+    // shallower frames.
+    ev.preventDefault();
+    var delta = dy || dx;
+    if (delta) {
+      var rows = Math.max(1, Math.round(Math.abs(delta) * DPR / this._rowLayout()[1]));
+      this._bounds.scrollDepth(delta > 0 ? -rows : rows);
+    }
+  },
+
+  _onBoundsChanged: function(ev, why) {
+    if (why === "depth") {
+      this._updateScrollbar();
+    } else if (this._fitVisible) {
+      this._updateDepthWindow();
+    }
+    this._requestRender();
+  },
+
+  _onHover: function(ev) {
+    var frame = this._frameAt(ev.layerX, ev.layerY);
+    if (frame) {
+      this._graph.showTooltip(frame, ev);
+    } else {
+      this._graph.hideTooltip();
+    }
+  },
+
   _doRender: function() {
     this._ctx.clearRect(0, 0, this._canvas.width, this._canvas.height);
-    this._renderChildren(this._trace);
+    if (this._trace.finished) {
+      this._renderBlocks(this._ctx, this._bounds.leftTime, this._bounds.rightTime);
+    } else {
+      var rows = this._rowLayout();
+      var firstDepth = rows[0];
+      var lastDepth = firstDepth + Math.ceil(this._canvas.height / rows[1]) - 1;
+      this._forEachVisibleChild(this._trace, function(child) {
+        if (child.depth >= firstDepth) {
+          this._renderFrame(child);
+        }
+        return child.depth < lastDepth;
+      }.bind(this));
+    }
+    this._renderActivations(this._ctx);
+    this._renderException(this._ctx);
+    this._renderRange(this._ctx);
+    this._renderMarkers(this._ctx, true);
   },
 
-  _renderChildren: function(frame) {
+  /**
+   * Calls a function with each descendant of a frame between the left
+   * and right bounds, in depth-first order. The function returns whether
+   * to visit the children of the frame it was called with.
+   */
+  _forEachVisibleChild: function(frame, callback) {
     var leftTime = this._bounds.leftTime;
     var rightTime = this._bounds.rightTime;
     var children = frame.children;
@@ -375,8 +2095,9 @@ MainView.prototype = {
     if (frame.totalTime === 0)
       return;
 
-    var idx = binarySearch(leftTime, children,
-                           function(time, child) { return time - child.endTime; });
+    var idx = binarySearch(leftTime, children, function(time, child) {
+      return typeof child.endTime === "number" ? time - child.endTime : -1;
+    });
     if (idx < 0) {
       idx = -(idx + 1);
     }
@@ -390,8 +2111,9 @@ MainView.prototype = {
       if (child.startTime > rightTime) {
         break;
       }
-      this._renderFrame(child);
-      this._renderChildren(child);
+      if (callback(child)) {
+        this._forEachVisibleChild(child, callback);
+      }
     }
   },
 
@@ -402,6 +2124,11 @@ MainView.prototype = {
 function Overview(graph, bounds) {
   TraceView.call(this, graph, bounds);
   this._bufferStale = true;
+  this._bufferTime = 0;
+  this._pending = [];
+
+  this._onExitedFrame = this._onExitedFrame.bind(this);
+  this._onFinished = this._onFinished.bind(this);
 
   this._canvas.addEventListener("mousedown", function(ev) {
     this._dragging = true;
@@ -421,80 +2148,324 @@ function Overview(graph, bounds) {
 }
 
 Overview.prototype = {
+  setTrace: function(trace) {
+    this._unlisten();
+    this._bufferStale = true;
+    this._pending = [];
+    if (trace && !trace.finished) {
+      trace.on("exitedFrame", this._onExitedFrame);
+      trace.on("finished", this._onFinished);
+      this._listening = trace;
+    }
+    TraceView.prototype.setTrace.call(this, trace);
+  },
+
+  destroy: function() {
+    this._unlisten();
+    TraceView.prototype.destroy.call(this);
+  },
+
+  _unlisten: function() {
+    if (this._listening) {
+      this._listening.off("exitedFrame", this._onExitedFrame);
+      this._listening.off("finished", this._onFinished);
+      this._listening = null;
+    }
+  },
+
   resize: function(width, height) {
     this._bufferStale = true;
     TraceView.prototype.resize.call(this, width, height);
   },
 
-  _requestRender: function() {
-    if (this._trace && this._trace.finished) {
-      TraceView.prototype._requestRender.call(this);
-    }
+  setSelected: function(uid) {
+    this._bufferStale = true;
+    TraceView.prototype.setSelected.call(this, uid);
+  },
+
+  setHighlightedFunction: function(fid) {
+    this._bufferStale = true;
+    TraceView.prototype.setHighlightedFunction.call(this, fid);
+  },
+
+  setMatches: function(uids) {
+    this._bufferStale = true;
+    TraceView.prototype.setMatches.call(this, uids);
+  },
+
+  setColorScheme: function(scheme) {
+    this._bufferStale = true;
+    TraceView.prototype.setColorScheme.call(this, scheme);
+  },
+
+  _onExitedFrame: function(ev, frame) {
+    this._pending.push(frame);
+    this._requestRender();
+  },
+
+  _onFinished: function() {
+    this._unlisten();
+    this._bufferStale = true;
+    this._requestRender();
   },
 
+  /**
+   * Frames are drawn to an offscreen buffer once they have exited, and
+   * the buffer is copied to the canvas. While the trace is recorded, the
+   * buffer spans twice the current time, so new frames can be added to
+   * it without redrawing the others, and it is stretched to fit. Frames
+   * which have not exited yet are drawn to the canvas on each render.
+   */
   _doRender: function() {
+    var trace  = this._trace;
     var bounds = this._bounds;
+    var ctx    = this._ctx;
     var width  = this._canvas.width;
     var height = this._canvas.height;
+    var totalTime = trace.totalTime || 0;
 
-    if (this._bufferStale) {
-      // render frames to canvas
-      this._ctx.clearRect(0, 0, width, height);
-      this._ctx.fillStyle = "rgb(200, 200, 200)";
-      this._ctx.fillRect(0, 0, width, height);
-      for (var key in this._trace.frames) {
-        var frame = this._trace.frames[key];
-        this._renderFrame(frame);
-      }
-
-      var doc = this._graph.document;
-      var buffer = doc.createElementNS("http://www.w3.org/1999/xhtml", "canvas");
-      this._buffer = buffer;
+    if (totalTime > this._bufferTime || trace.maxDepth !== this._bufferDepth) {
+      this._bufferStale = true;
+    }
 
-      // copy canvas to offscreen buffer
+    if (this._bufferStale) {
+      var buffer = this._buffer;
       buffer.width  = width;
       buffer.height = height;
-      buffer.getContext('2d').drawImage(this._canvas,
-                                        0, 0, width, height,
-                                        0, 0, width, height );
+      this._bufferTime = trace.finished ? totalTime : totalTime * 2;
+      this._bufferDepth = trace.maxDepth;
+
+      this._bufCtx.fillStyle = "rgb(200, 200, 200)";
+      this._bufCtx.fillRect(0, 0, width, height);
+      if (this._bufferTime && trace.finished) {
+        this._renderBlocks(this._bufCtx, 0, this._bufferTime, this._bufferTime);
+      } else if (this._bufferTime) {
+        for (var i = 0; i < trace.frames.length; ++i) {
+          var frame = trace.frames[i];
+          if (typeof frame.endTime === "number") {
+            this._renderFrame(frame, this._bufCtx, this._bufferTime);
+          }
+        }
+      }
+      this._pending = [];
       this._bufferStale = false;
-    } else {
-      // render buffer to canvas
-      this._ctx.drawImage(this._buffer,
-                          0, 0, width, height,
-                          0, 0, width, height );
+    } else if (this._pending.length) {
+      for (var i = 0; i < this._pending.length; ++i) {
+        this._renderFrame(this._pending[i], this._bufCtx, this._bufferTime);
+      }
+      this._pending = [];
+    }
+
+    ctx.clearRect(0, 0, width, height);
+    if (!totalTime) {
+      return;
+    }
+    var sourceWidth = Math.max(1, Math.round(width * totalTime / this._bufferTime));
+    ctx.drawImage(this._buffer,
+                  0, 0, sourceWidth, height,
+                  0, 0, width, height);
+
+    if (!trace.finished && trace._stack) {
+      for (var i = 1; i < trace._stack.length; ++i) {
+        this._renderFrame(trace._stack[i]);
+      }
     }
 
     var left = width * bounds.left;
     var right = width * bounds.right;
 
-    this._ctx.fillStyle = "rgba(0, 0, 0, 0.2)";
-    this._ctx.fillRect(0, 0, left, height);
-    this._ctx.fillRect(right, 0, width - right, height);
+    ctx.fillStyle = "rgba(0, 0, 0, 0.2)";
+    ctx.fillRect(0, 0, left, height);
+    ctx.fillRect(right, 0, width - right, height);
+
+    // Outline the rows shown by the main view when they are not all of
+    // them.
+    if (bounds.depthCount <= trace.maxDepth) {
+      var rows = this._rowLayout();
+      var top = Math.max(0, height - (bounds.lastDepth + 1) * rows[1]);
+      var bottom = height - bounds.firstDepth * rows[1];
+      ctx.fillStyle = "rgba(0, 0, 0, 0.1)";
+      ctx.fillRect(left, 0, right - left, top);
+      ctx.fillRect(left, bottom, right - left, height - bottom);
+      ctx.strokeStyle = "rgba(0, 0, 0, 0.6)";
+      ctx.lineWidth = DPR;
+      ctx.strokeRect(left + DPR / 2, top + DPR / 2,
+                     Math.max(0, right - left - DPR), Math.max(0, bottom - top - DPR));
+    }
+
+    this._renderRange(ctx);
+    this._renderMarkers(ctx, false);
   },
 
+  /**
+   * Centers the main view's time and depth windows on the point clicked.
+   */
   _recenter: function(ev) {
-    this._bounds.center = ev.layerX * DPR / this._canvas.width;
+    var bounds = this._bounds;
+    bounds.center = ev.layerX * DPR / this._canvas.width;
+
+    var rows = this._rowLayout();
+    var depth = Math.floor((this._canvas.height - ev.layerY * DPR) / rows[1]);
+    bounds.setDepthWindow(depth - (bounds.depthCount >> 1), bounds.depthCount);
   },
 
   __proto__: TraceView.prototype
 };
 
 
-var h = { min:  0, max: 360, step: 43 };
-var s = { min: 30, max:  40, step:  3 };
-var l = { min: 20, max:  40, step:  5 };
+/**
+ * Time axis above the main view, with ticks spaced and labeled to suit
+ * the zoom level, and the duration of the selected time range.
+ */
+function Ruler(graph, bounds) {
+  TraceView.call(this, graph, bounds);
+  this._isZoomView = true;
+}
+
+// The height of the ruler, in CSS pixels.
+var RULER_HEIGHT = 18;
+
+// The minimum distance between ruler ticks, in CSS pixels.
+var RULER_TICK_SPACING = 80;
+
+Ruler.prototype = {
+  _doRender: function() {
+    var ctx    = this._ctx;
+    var bounds = this._bounds;
+    var width  = this._canvas.width;
+    var height = this._canvas.height;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = "rgb(240, 240, 240)";
+    ctx.fillRect(0, 0, width, height);
+
+    var leftTime = bounds.leftTime;
+    var rightTime = bounds.rightTime;
+    if (!(rightTime > leftTime)) {
+      return;
+    }
+
+    var step = tickStep((rightTime - leftTime) * RULER_TICK_SPACING * DPR / width);
+    ctx.font = (10 * DPR) + "px sans-serif";
+    ctx.textBaseline = "top";
+    ctx.lineWidth = DPR;
+    ctx.strokeStyle = "rgb(150, 150, 150)";
+    ctx.fillStyle = "rgb(60, 60, 60)";
+
+    for (var i = Math.ceil(leftTime / step); i * step <= rightTime; ++i) {
+      var time = i * step;
+      var x = Math.round(width * bounds.percentageFromTime(time, true)) + DPR / 2;
+      ctx.beginPath();
+      ctx.moveTo(x, height / 2);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+      ctx.fillText(formatTimeWithUnit(time, step), x + 2 * DPR, DPR);
+    }
 
-var current = { h: h.max, s: s.max, l: l.max };
+    var range = this._renderRange(ctx);
+    if (range) {
+      var duration = this._range.endTime - this._range.startTime;
+      var label = formatTimeWithUnit(duration, duration / 100 || 1e-6);
+      var labelWidth = ctx.measureText(label).width + 4 * DPR;
+      var labelX = Math.min(Math.max(0, (range[0] + range[1] - labelWidth) / 2),
+                            width - labelWidth);
+      ctx.fillStyle = "rgb(70, 130, 180)";
+      ctx.fillRect(labelX, 0, labelWidth, height);
+      ctx.fillStyle = "white";
+      ctx.fillText(label, labelX + 2 * DPR, DPR);
+    }
+  },
 
-function getColor() {
-  if ((current.h -= h.step) <= h.min) current.h += h.max;
-  if ((current.s -= s.step) <= s.min) current.s += s.max;
-  if ((current.l -= l.step) <= l.min) current.l += l.max;
-  return "hsl("+current.h+", "+current.s+"%, "+current.l+"%)";
+  __proto__: TraceView.prototype
+};
+
+/**
+ * Returns the smallest of 1, 2 or 5 times a power of ten which is at
+ * least the given step.
+ */
+function tickStep(minStep) {
+  var power = Math.pow(10, Math.floor(Math.log10(minStep)));
+  var multiples = [1, 2, 5, 10];
+  for (var i = 0; i < multiples.length; ++i) {
+    if (multiples[i] * power >= minStep) {
+      return multiples[i] * power;
+    }
+  }
+  return 10 * power;
+}
+
+var TIME_UNITS = [
+  { unit: "s",  ms: 1000 },
+  { unit: "ms", ms: 1 },
+  { unit: "µs", ms: 1e-3 },
+  { unit: "ns", ms: 1e-6 }
+];
+
+/**
+ * Formats a time in milliseconds in the largest unit in which it can be
+ * written with a few decimals at the given precision.
+ *
+ * @param {number} time
+ * @param {number} precision
+ *        The smallest difference to show, in milliseconds.
+ */
+function formatTimeWithUnit(time, precision) {
+  var unit = TIME_UNITS[TIME_UNITS.length - 1];
+  for (var i = 0; i < TIME_UNITS.length; ++i) {
+    if (precision >= TIME_UNITS[i].ms / 10) {
+      unit = TIME_UNITS[i];
+      break;
+    }
+  }
+  var decimals = Math.max(0, Math.ceil(-Math.log10(precision / unit.ms) - 1e-9));
+  return (time / unit.ms).toFixed(decimals) + " " + unit.unit;
 }
 
-var colors = new Map();
+function formatTime(time) {
+  if (typeof time !== "number") {
+    return "?";
+  }
+  return (Math.round(time * 100) / 100) + " ms";
+}
+
+function formatLocation(loc) {
+  return loc.url + ":" + loc.line + ":" + loc.column;
+}
+
+/**
+ * Returns a description of how a frame exited.
+ */
+function describeOutcome(frame) {
+  switch (frameExitKind(frame)) {
+    case "running":
+      return "Running";
+    case "throw":
+      return "Threw " + summarizeValue(frame.throw);
+    case "yield":
+      return "Yielded " + summarizeValue(frame.yield);
+  }
+  if ("return" in frame) {
+    return "Returned " + summarizeValue(frame.return);
+  }
+  return "Returned";
+}
+
+/**
+ * Returns how a frame exited: "return", "throw" or "yield", or
+ * "running" if it has not exited yet.
+ */
+function frameExitKind(frame) {
+  if (typeof frame.endTime !== "number") {
+    return "running";
+  }
+  if ("throw" in frame) {
+    return "throw";
+  }
+  if ("yield" in frame) {
+    return "yield";
+  }
+  return "return";
+}
 
 function binarySearch(key, array, comparator) {
   var first = 0;
@@ -0,0 +1,300 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Importers for trace formats recorded by other tools. Each importer
+ * builds a Trace by feeding it the same enteredFrame/exitedFrame packets
+ * a live trace client would send.
+ */
+
+/**
+ * Returns the format of parsed trace data: "native" for this project's
+ * own {functions, children} format, "chrome" for the Chrome Trace Event
+ * Format, or "cpuprofile" for V8 CPU profiles.
+ *
+ * @param {object} data
+ *        The parsed JSON data.
+ * @return {string}
+ * @throws {Error}
+ *         If the format is not recognized.
+ */
+function detectTraceFormat(data) {
+  if (Array.isArray(data)) {
+    if (!data.length || data[0] && typeof data[0].ph === "string") {
+      return "chrome";
+    }
+  } else if (data && typeof data === "object") {
+    if (Array.isArray(data.functions) && Array.isArray(data.children)) {
+      return "native";
+    }
+    if (Array.isArray(data.traceEvents)) {
+      return "chrome";
+    }
+    if (Array.isArray(data.nodes) && Array.isArray(data.samples)) {
+      return "cpuprofile";
+    }
+  }
+  throw new Error("Unrecognized trace format: expected a trace from this project, Chrome " +
+                  "Trace Event JSON or a V8 CPU profile");
+}
+
+/**
+ * Returns the threads found in Chrome Trace Event data, busiest first.
+ *
+ * @param {object|array} data
+ *        The parsed JSON data, either an array of events or an object
+ *        with a traceEvents array.
+ * @return {array}
+ *         Objects with pid, tid, name and eventCount properties.
+ */
+function chromeTraceThreads(data) {
+  var events = Array.isArray(data) ? data : data.traceEvents;
+  var threads = Object.create(null);
+  var list = [];
+
+  function thread(ev) {
+    var key = ev.pid + ":" + ev.tid;
+    if (!threads[key]) {
+      threads[key] = { pid: ev.pid, tid: ev.tid, name: null, eventCount: 0 };
+      list.push(threads[key]);
+    }
+    return threads[key];
+  }
+
+  for (var i = 0; i < events.length; ++i) {
+    var ev = events[i];
+    if (ev.ph === "B" || ev.ph === "X") {
+      thread(ev).eventCount++;
+    } else if (ev.ph === "M" && ev.name === "thread_name" && ev.args) {
+      thread(ev).name = ev.args.name;
+    }
+  }
+
+  return list.filter(function(t) { return t.eventCount > 0; })
+             .sort(function(a, b) { return b.eventCount - a.eventCount; });
+}
+
+/**
+ * Builds a Trace from the duration events (B/E pairs and complete X
+ * events) of one thread in Chrome Trace Event data. Times are converted
+ * from microseconds to milliseconds, relative to the earliest event.
+ *
+ * @param {object|array} data
+ *        The parsed JSON data.
+ * @param {object} options
+ *        Optional pid and tid of the thread to import. Defaults to the
+ *        thread with the most duration events.
+ * @return {Trace}
+ */
+function parseChromeTrace(data, options) {
+  options = options || {};
+  var events = Array.isArray(data) ? data : data.traceEvents;
+  var threads = chromeTraceThreads(data);
+
+  var thread = threads[0];
+  if (typeof options.tid !== "undefined") {
+    thread = threads.filter(function(t) {
+      return t.tid === options.tid &&
+             (typeof options.pid === "undefined" || t.pid === options.pid);
+    })[0];
+    if (!thread) {
+      throw new Error("No duration events for thread " + options.tid);
+    }
+  }
+
+  var trace = new Trace(null, thread ? thread.name || ("Thread " + thread.tid) : "");
+  if (!thread) {
+    trace.finished = true;
+    return trace;
+  }
+
+  var baseTime = Infinity;
+  var records = [];
+  for (var i = 0; i < events.length; ++i) {
+    var ev = events[i];
+    if (typeof ev.ts === "number" && ev.ts < baseTime && ev.ph !== "M") {
+      baseTime = ev.ts;
+    }
+    if (ev.pid !== thread.pid || ev.tid !== thread.tid) {
+      continue;
+    }
+    if (ev.ph === "B" || ev.ph === "E") {
+      records.push({ event: ev, ts: ev.ts, order: i });
+    } else if (ev.ph === "X") {
+      records.push({ event: ev, ts: ev.ts, dur: ev.dur || 0, order: i });
+    }
+  }
+
+  // Events at the same time keep their order in the file, except that
+  // enclosing complete events sort before the events they enclose.
+  records.sort(function(a, b) {
+    return (a.ts - b.ts) ||
+           (a.event.ph === "X" && b.event.ph === "X" ? b.dur - a.dur : 0) ||
+           (a.order - b.order);
+  });
+
+  function toTime(ts) {
+    return (ts - baseTime) / 1000;
+  }
+
+  // Open events, with the end time of complete events.
+  var stack = [];
+  var lastTs = baseTime;
+
+  function exit(ts) {
+    stack.pop();
+    trace.onExitedFrame(null, { time: toTime(ts) });
+  }
+
+  // Exits the complete events which end before an event starting at ts
+  // and lasting dur. An event starting exactly when the open one ends is
+  // nested inside it only if it takes no time.
+  function exitCompleted(ts, dur) {
+    while (stack.length) {
+      var top = stack[stack.length - 1];
+      if (typeof top.endTs !== "number" ||
+          top.endTs > ts || (top.endTs === ts && !dur)) {
+        break;
+      }
+      exit(top.endTs);
+    }
+  }
+
+  for (var i = 0; i < records.length; ++i) {
+    var record = records[i];
+    var ev = record.event;
+    exitCompleted(record.ts, ev.ph === "X" ? record.dur : Infinity);
+    lastTs = Math.max(lastTs, record.ts);
+
+    if (ev.ph === "E") {
+      if (stack.length) {
+        exit(record.ts);
+      }
+      continue;
+    }
+
+    stack.push({ endTs: ev.ph === "X" ? record.ts + record.dur : null });
+    trace.onEnteredFrame(null, {
+      name: ev.name,
+      location: chromeEventLocation(ev),
+      time: toTime(record.ts)
+    });
+  }
+
+  // Close complete events at their end, and unmatched begins at the
+  // time of the last event.
+  exitCompleted(Infinity);
+  while (stack.length) {
+    var top = stack[stack.length - 1];
+    lastTs = Math.max(lastTs, top.endTs || 0);
+    exit(lastTs);
+  }
+
+  trace.finished = true;
+  return trace;
+}
+
+/**
+ * Returns the source location recorded in a trace event's arguments,
+ * if any.
+ */
+function chromeEventLocation(ev) {
+  var data = ev.args && ev.args.data;
+  if (!data || !data.url) {
+    return null;
+  }
+  return {
+    url: data.url,
+    line: data.lineNumber || 0,
+    column: data.columnNumber || 0
+  };
+}
+
+/**
+ * Builds a Trace from a V8 CPU profile, as written by Node's --cpu-prof
+ * or DevTools. Each sample's stack is diffed against the previous one,
+ * entering and exiting frames as the sampled stacks change. Times are
+ * converted from microseconds to milliseconds, relative to the start of
+ * the profile.
+ *
+ * @param {object} data
+ *        The parsed JSON data.
+ * @return {Trace}
+ */
+function parseCpuProfile(data) {
+  var trace = new Trace(null, data.title || "CPU profile");
+  var nodes = Object.create(null);
+  var parents = Object.create(null);
+
+  for (var i = 0; i < data.nodes.length; ++i) {
+    var node = data.nodes[i];
+    nodes[node.id] = node;
+    var children = node.children || [];
+    for (var j = 0; j < children.length; ++j) {
+      parents[children[j]] = node.id;
+    }
+  }
+
+  // Returns the IDs of the nodes on a sampled stack, outermost first,
+  // leaving out the profile's root node.
+  function stackOf(id) {
+    var stack = [];
+    while (id in parents) {
+      stack.push(id);
+      id = parents[id];
+    }
+    return stack.reverse();
+  }
+
+  var samples = [];
+  var ts = data.startTime || 0;
+  for (var i = 0; i < data.samples.length; ++i) {
+    ts += data.timeDeltas ? data.timeDeltas[i] : 0;
+    samples.push({ id: data.samples[i], ts: ts, order: i });
+  }
+  samples.sort(function(a, b) { return (a.ts - b.ts) || (a.order - b.order); });
+
+  var startTs = data.startTime || (samples.length ? samples[0].ts : 0);
+  var endTs = Math.max(data.endTime || 0, samples.length ? samples[samples.length - 1].ts : 0);
+
+  function toTime(ts) {
+    return (ts - startTs) / 1000;
+  }
+
+  var current = [];
+  function moveTo(stack, ts) {
+    var common = 0;
+    while (common < current.length && common < stack.length &&
+           current[common] === stack[common]) {
+      common++;
+    }
+    while (current.length > common) {
+      current.pop();
+      trace.onExitedFrame(null, { time: toTime(ts) });
+    }
+    for (var i = common; i < stack.length; ++i) {
+      var callFrame = nodes[stack[i]].callFrame;
+      current.push(stack[i]);
+      trace.onEnteredFrame(null, {
+        name: callFrame.functionName || "(anonymous)",
+        location: {
+          url: callFrame.url,
+          line: callFrame.lineNumber + 1,
+          column: callFrame.columnNumber
+        },
+        time: toTime(ts)
+      });
+    }
+  }
+
+  for (var i = 0; i < samples.length; ++i) {
+    moveTo(stackOf(samples[i].id), samples[i].ts);
+  }
+  moveTo([], endTs);
+
+  trace.finished = true;
+  return trace;
+}
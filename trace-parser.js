@@ -4,50 +4,266 @@
 
 "use strict";
 
-var parseTrace = function(data) {
+/**
+ * Builds a Trace from recorded trace data in any supported format: this
+ * project's own format, Chrome Trace Event JSON or a V8 CPU profile.
+ *
+ * @param {string|object} data
+ *        The trace data, as JSON text or already parsed.
+ * @param {object} options
+ *        Options for the format's importer, see parseChromeTrace.
+ * @return {Trace}
+ */
+var parseTrace = function(data, options) {
   if (typeof data === "string") {
-    data = JSON.parse(data);
+    try {
+      data = JSON.parse(data);
+    } catch (ex) {
+      throw new Error("Malformed trace: " + ex.message);
+    }
+  }
+
+  switch (detectTraceFormat(data)) {
+    case "chrome":
+      return parseChromeTrace(data, options);
+    case "cpuprofile":
+      return parseCpuProfile(data);
   }
+
   var trace = new Trace();
   var functions = data.functions;
+  var frameCount = 0;
 
   function enterFrame(frame) {
+    if (!frame || typeof frame !== "object") {
+      throw new Error("Malformed trace: frame " + frameCount + " is not an object");
+    }
     var aggregated = functions[frame.fid];
-    var packet = {
+    if (!aggregated || typeof aggregated !== "object") {
+      throw new Error("Malformed trace: frame " + frameCount + " has unknown function " + frame.fid);
+    }
+    if (typeof frame.startTime !== "number") {
+      throw new Error("Malformed trace: frame " + frameCount + " has no start time");
+    }
+    if (frame.children && !Array.isArray(frame.children)) {
+      throw new Error("Malformed trace: the children of frame " + frameCount + " are not an array");
+    }
+    frameCount++;
+
+    trace.onEnteredFrame(null, {
       name: aggregated.name,
       location: aggregated.location,
       callsite: frame.callsite,
       time: frame.startTime,
       parameterNames: aggregated.parameterNames,
       arguments: frame.arguments
-    };
-
-    trace.onEnteredFrame(null, packet);
-
-    for (var key in frame.children) {
-      var child = frame.children[key];
-      enterFrame(child);
-    }
-
-    exitFrame(frame);
+    });
   }
 
   function exitFrame(frame) {
-    var aggregated = functions[frame.fid];
-    var packet = {
+    trace.onExitedFrame(null, {
       time: frame.endTime,
       return: frame.return,
       throw: frame.throw,
       yield: frame.yield,
-    };
-    trace.onExitedFrame(null, packet);
+    });
   }
 
-  for (var key in data.children) {
-    var child = data.children[key];
-    enterFrame(child);
+  // Walk the frames depth first without recursion, which would overflow
+  // the stack for very deep traces. Each entry holds a frame and the
+  // index of its next child to visit.
+  var stack = [{ frame: null, children: data.children, next: 0 }];
+  while (stack.length) {
+    var top = stack[stack.length - 1];
+    if (top.next < top.children.length) {
+      var child = top.children[top.next++];
+      enterFrame(child);
+      stack.push({ frame: child, children: child.children || [], next: 0 });
+    } else {
+      stack.pop();
+      if (top.frame) {
+        exitFrame(top.frame);
+      }
+    }
   }
 
+  readAnnotations(trace, data);
   trace.finished = true;
   return trace;
 };
+
+/**
+ * Builds the Traces of recorded trace data, see parseTrace. Chrome Trace
+ * Event data holds a trace for each thread, which are all returned,
+ * busiest first, unless options name a thread; other formats hold one.
+ *
+ * @param {string|object} data
+ * @param {object} options
+ * @return {array}
+ */
+var parseTraces = function(data, options) {
+  if (typeof data === "string") {
+    try {
+      data = JSON.parse(data);
+    } catch (ex) {
+      throw new Error("Malformed trace: " + ex.message);
+    }
+  }
+  if (detectTraceFormat(data) !== "chrome" || (options && typeof options.tid !== "undefined")) {
+    return [parseTrace(data, options)];
+  }
+
+  var threads = chromeTraceThreads(data);
+  if (threads.length <= 1) {
+    return [parseChromeTrace(data, options)];
+  }
+  var pids = new Set(threads.map(function(thread) { return thread.pid; }));
+  return threads.map(function(thread) {
+    var trace = parseChromeTrace(data, { pid: thread.pid, tid: thread.tid });
+    if (pids.size > 1) {
+      trace.name += " (process " + thread.pid + ")";
+    }
+    return trace;
+  });
+};
+
+/**
+ * Restores the markers and comments saved with a trace by Trace.toJSON.
+ *
+ * @param {Trace} trace
+ * @param {object} data
+ */
+function readAnnotations(trace, data) {
+  var markers = data.markers || [];
+  if (!Array.isArray(markers)) {
+    throw new Error("Malformed trace: the markers are not an array");
+  }
+  markers.forEach(function(marker, i) {
+    if (!marker || typeof marker.time !== "number" || typeof marker.name !== "string") {
+      throw new Error("Malformed trace: marker " + i + " needs a time and a name");
+    }
+    trace.markers.push({ time: marker.time, name: marker.name });
+  });
+  trace.markers.sort(function(a, b) { return a.time - b.time; });
+
+  var comments = data.comments || {};
+  if (typeof comments !== "object" || Array.isArray(comments)) {
+    throw new Error("Malformed trace: the comments are not an object");
+  }
+  for (var uid in comments) {
+    if (!trace.frames[uid] || typeof comments[uid] !== "string") {
+      throw new Error("Malformed trace: the comment on frame " + uid + " is invalid");
+    }
+    trace.comments[uid] = comments[uid];
+  }
+}
+
+/**
+ * Rebuilds a Trace from the compact representation made by
+ * Trace.toCompact, such as one transferred from a worker.
+ *
+ * @param {object} compact
+ * @param {boolean} groupByOriginal
+ *        Optional. See Trace.groupByOriginal.
+ * @return {Trace}
+ */
+var traceFromCompact = function(compact, groupByOriginal) {
+  var trace = new Trace(null, compact.name);
+  trace.groupByOriginal = !!groupByOriginal;
+  var functions = compact.functions;
+  var count = compact.fids.length;
+  var open = [];
+
+  function exitTo(depth) {
+    while (open.length > depth) {
+      var index = open.pop();
+      var details = compact.details[index] || {};
+      trace.onExitedFrame(null, {
+        time: compact.endTimes[index],
+        return: details.return,
+        throw: details.throw,
+        yield: details.yield
+      });
+    }
+  }
+
+  for (var i = 0; i < count; ++i) {
+    exitTo(compact.depths[i]);
+
+    var aggregated = functions[compact.fids[i]];
+    var details = compact.details[i] || {};
+    trace.onEnteredFrame(null, {
+      name: aggregated.name,
+      location: aggregated.location,
+      callsite: details.callsite,
+      time: compact.startTimes[i],
+      parameterNames: aggregated.parameterNames,
+      arguments: details.arguments
+    });
+    open.push(i);
+  }
+  exitTo(0);
+
+  trace.markers = compact.markers || [];
+  trace.comments = compact.comments || Object.create(null);
+  trace.finished = true;
+  return trace;
+};
+
+/**
+ * Parses a trace in a worker, keeping the page responsive while large
+ * traces load.
+ *
+ * The returned task emits "progress" with the phase ("reading" or
+ * "building") and the bytes loaded out of the total (0 if unknown),
+ * then either "loaded" with an array of Traces, one for each thread of
+ * Chrome traces, busiest first (see parseTraces), or "error" with an Error. Its
+ * cancel() method stops parsing; no events are emitted after it.
+ *
+ * @param {Blob|string} source
+ *        A File or other Blob, or the URL of a trace.
+ * @param {object} options
+ *        Options for parseTrace, and optionally the name of the trace.
+ * @return {object}
+ */
+var parseTraceInWorker = function(source, options) {
+  var worker = new Worker("trace-worker.js");
+  var task = {
+    cancel: function() {
+      worker.terminate();
+      task.cancelled = true;
+    },
+    cancelled: false
+  };
+  EventEmitter.decorate(task);
+
+  worker.onmessage = function(ev) {
+    var message = ev.data;
+    if (task.cancelled) {
+      return;
+    }
+    switch (message.type) {
+      case "progress":
+        task.emit("progress", message.phase, message.loaded, message.total);
+        break;
+      case "loaded":
+        worker.terminate();
+        task.emit("loaded", message.compacts.map(function(compact) {
+          return traceFromCompact(compact);
+        }));
+        break;
+      case "error":
+        worker.terminate();
+        task.emit("error", new Error(message.message));
+        break;
+    }
+  };
+  worker.onerror = function(ev) {
+    ev.preventDefault();
+    worker.terminate();
+    task.emit("error", new Error(ev.message));
+  };
+
+  worker.postMessage({ source: source, options: options });
+  return task;
+};
@@ -0,0 +1,246 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Returns a function testing whether a frame matches a search query.
+ * Queries of the form /pattern/flags are regular expressions; anything
+ * else matches as a case-insensitive substring. The function name, the
+ * script URL and the parameter names are searched.
+ *
+ * Queries starting with a prefix search recorded values instead, as
+ * described by summarizeValue: "arg:" any argument, "arg.name:" the
+ * argument of the parameter called name, "return:", "throw:" and "yield:"
+ * the value a frame exited with, and "value:" any of them.
+ *
+ * @param {string} query
+ * @return {function}
+ *         Returns true for frames matching the query.
+ * @throws {SyntaxError}
+ *         If the query is not a valid regular expression.
+ */
+function frameMatcher(query) {
+  var prefix = /^(arg(?:\.([^:]+))?|return|throw|yield|value):/.exec(query);
+  if (prefix) {
+    return valueMatcher(prefix[1].split(".")[0], prefix[2], textMatcher(query.slice(prefix[0].length)));
+  }
+
+  var test = textMatcher(query);
+  return function(frame) {
+    if (frame.name && test(frame.name)) {
+      return true;
+    }
+    if (frame.location && frame.location.url && test(frame.location.url)) {
+      return true;
+    }
+    var parameterNames = frame.parameterNames || [];
+    for (var i = 0; i < parameterNames.length; ++i) {
+      if (test(parameterNames[i])) {
+        return true;
+      }
+    }
+    return false;
+  };
+}
+
+/**
+ * Returns a function testing whether a string matches a query, as a
+ * regular expression or a case-insensitive substring.
+ */
+function textMatcher(query) {
+  var regexp = /^\/(.*)\/([a-z]*)$/.exec(query);
+  if (regexp) {
+    var re = new RegExp(regexp[1], regexp[2].replace("g", ""));
+    return function(string) { return re.test(string); };
+  }
+  var lowerQuery = query.toLowerCase();
+  return function(string) {
+    return string.toLowerCase().indexOf(lowerQuery) !== -1;
+  };
+}
+
+/**
+ * Returns a function testing whether a recorded value of a frame matches.
+ *
+ * @param {string} kind
+ *        "arg", "return", "throw", "yield" or "value" for any of them.
+ * @param {string} parameterName
+ *        For arguments, the name of the parameter to test, if only one.
+ * @param {function} test
+ *        Tests the summary of a value.
+ */
+function valueMatcher(kind, parameterName, test) {
+  function matches(frame, key) {
+    return key in frame && test(summarizeValue(frame[key]));
+  }
+
+  return function(frame) {
+    if (kind === "arg" || kind === "value") {
+      var args = frame.arguments || [];
+      for (var i = 0; i < args.length; ++i) {
+        var name = (frame.parameterNames || [])[i];
+        if ((!parameterName || name === parameterName) && test(summarizeValue(args[i]))) {
+          return true;
+        }
+      }
+    }
+    if (kind === "value") {
+      return matches(frame, "return") || matches(frame, "throw") || matches(frame, "yield");
+    }
+    return kind !== "arg" && matches(frame, kind);
+  };
+}
+
+/**
+ * Returns the frames of a trace matching a search query, sorted by
+ * start time.
+ *
+ * @param {Trace} trace
+ * @param {string} query
+ * @return {array}
+ */
+function searchFrames(trace, query) {
+  var matches = trace.frames.filter(frameMatcher(query));
+  matches.sort(function(a, b) { return a.startTime - b.startTime || a.depth - b.depth; });
+  return matches;
+}
+
+/**
+ * Search box for a TraceGraph, with a match count and buttons to step
+ * through the matches.
+ *
+ * @param {Element} element
+ *        The element to render the search box into.
+ * @param {TraceGraph} graph
+ *        The graph to search.
+ */
+function SearchBar(element, graph) {
+  this.element = element;
+  this.document = element.ownerDocument;
+  this._graph = graph;
+  this._index = -1;
+
+  this._onSearchChanged = this._onSearchChanged.bind(this);
+  this._graph.on("searchchanged", this._onSearchChanged);
+
+  this._buildDOM();
+}
+
+// Describes the prefixes for searching values, see frameMatcher.
+var SEARCH_HINT = "Prefix a query with arg:, arg.name:, return:, throw:, yield: or " +
+                  "value: to search recorded values";
+
+SearchBar.prototype = {
+  /**
+   * Searches the graph for a query.
+   *
+   * @param {string} query
+   */
+  search: function(query) {
+    this._input.value = query;
+    try {
+      this._graph.search(query);
+      this._input.classList.remove("invalid");
+      this._input.title = SEARCH_HINT;
+    } catch (ex) {
+      this._input.classList.add("invalid");
+      this._input.title = ex.message;
+    }
+  },
+
+  /**
+   * Selects the next or previous match and centers the graph on it.
+   *
+   * @param {integer} direction
+   *        1 to step forward, -1 to step backward.
+   */
+  step: function(direction) {
+    var matches = this._graph.matches;
+    if (!matches.length) {
+      return;
+    }
+    var index = this._index + direction;
+    if (index < 0) {
+      index = matches.length - 1;
+    } else if (index >= matches.length) {
+      index = 0;
+    }
+    this._index = index;
+
+    var frame = matches[index];
+    this._graph.select(frame);
+    this._graph.showFrame(frame);
+    this._updateCount();
+  },
+
+  _buildDOM: function() {
+    var doc = this.document;
+    var self = this;
+
+    var input = doc.createElementNS(XHTML_NS, "input");
+    input.type = "search";
+    input.className = "search-input";
+    input.placeholder = "Search name, URL, parameter, /regex/ or arg:value";
+    input.title = SEARCH_HINT;
+    input.addEventListener("input", function() {
+      self.search(input.value);
+    });
+    input.addEventListener("keydown", function(ev) {
+      if (ev.key === "Enter") {
+        self.step(ev.shiftKey ? -1 : 1);
+      }
+    });
+    this._input = input;
+    this.element.appendChild(input);
+
+    var prev = doc.createElementNS(XHTML_NS, "button");
+    prev.textContent = "◀";
+    prev.title = "Previous match";
+    prev.addEventListener("click", function() { self.step(-1); });
+    this._prevButton = prev;
+    this.element.appendChild(prev);
+
+    var next = doc.createElementNS(XHTML_NS, "button");
+    next.textContent = "▶";
+    next.title = "Next match";
+    next.addEventListener("click", function() { self.step(1); });
+    this._nextButton = next;
+    this.element.appendChild(next);
+
+    this._count = doc.createElementNS(XHTML_NS, "span");
+    this._count.className = "search-count";
+    this.element.appendChild(this._count);
+
+    this._updateCount();
+  },
+
+  _updateCount: function() {
+    var matches = this._graph.matches;
+    var query = this._graph.query;
+    this._prevButton.disabled = !matches.length;
+    this._nextButton.disabled = !matches.length;
+
+    if (!query) {
+      this._count.textContent = "";
+    } else if (!matches.length) {
+      this._count.textContent = "No matches";
+    } else if (this._index < 0) {
+      this._count.textContent = matches.length + " matches";
+    } else {
+      this._count.textContent = (this._index + 1) + " of " + matches.length;
+    }
+  },
+
+  _onSearchChanged: function() {
+    // The query may have been set on the graph directly.
+    if (this._input.value !== this._graph.query) {
+      this._input.value = this._graph.query;
+      this._input.classList.remove("invalid");
+      this._input.title = SEARCH_HINT;
+    }
+    this._index = -1;
+    this._updateCount();
+  }
+};
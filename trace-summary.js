@@ -0,0 +1,269 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Multi-resolution summary of a finished trace, so that views can draw
+ * it at a cost which depends on the number of pixels rather than the
+ * number of frames.
+ *
+ * For each depth, level 0 holds every frame at that depth in time order.
+ * Each coarser level doubles a time threshold and merges runs of blocks
+ * narrower than it, separated by gaps narrower than it, into a single
+ * block represented by a frame of the run's dominant function. A view
+ * showing t milliseconds per pixel draws the coarsest level whose
+ * threshold is at most t, so every merged block is about a pixel wide
+ * and blocks never overlap, whatever the number of frames.
+ *
+ * Levels are stored as typed arrays: startTimes, endTimes, reps (the
+ * UID of the representative frame), weights (the time covered by the
+ * representative's function, used to pick the dominant one), counts
+ * (the number of frames merged) and firsts (the index of the first of
+ * them in level 0, so that a block holds the frames from firsts[i] to
+ * firsts[i] + counts[i] of level 0).
+ *
+ * @param {Trace} trace
+ *        A finished trace or merged call tree.
+ */
+function TraceSummary(trace) {
+  this.trace = trace;
+  this.depths = [];
+
+  var frames = trace.frames;
+  var totalTime = trace.totalTime || 0;
+
+  var byDepth = [];
+  for (var i = 0; i < frames.length; ++i) {
+    var depth = frames[i].depth;
+    (byDepth[depth] || (byDepth[depth] = [])).push(frames[i]);
+  }
+
+  for (var depth = 0; depth < byDepth.length; ++depth) {
+    var levels = [this._baseLevel(byDepth[depth] || [])];
+    var threshold = totalTime / (1 << SUMMARY_LEVELS);
+    while (threshold && threshold < totalTime && levels[levels.length - 1].length > 1) {
+      threshold *= 2;
+      var previous = levels[levels.length - 1];
+      var level = this._mergeLevel(previous, threshold);
+      if (level.length > previous.length * SUMMARY_MIN_REDUCTION) {
+        // Not worth storing; coarser levels are merged from the previous one.
+        continue;
+      }
+      levels.push(level);
+    }
+    this.depths.push(levels);
+  }
+}
+
+// Number of times the threshold doubles before it spans the whole trace.
+var SUMMARY_LEVELS = 24;
+
+// Levels are only kept if they have at most this fraction of the blocks
+// of the finer level they were merged from.
+var SUMMARY_MIN_REDUCTION = 0.75;
+
+var summaryCache = new WeakMap();
+
+/**
+ * Returns the summary of a finished trace, building it the first time.
+ *
+ * @param {Trace} trace
+ * @return {TraceSummary}
+ */
+function getTraceSummary(trace) {
+  var summary = summaryCache.get(trace);
+  if (!summary) {
+    summary = new TraceSummary(trace);
+    summaryCache.set(trace, summary);
+  }
+  return summary;
+}
+
+TraceSummary.prototype = {
+  /**
+   * Returns the blocks to draw at a depth for a given resolution.
+   *
+   * @param {integer} depth
+   * @param {number} timePerPixel
+   * @return {object}
+   *         A level, with length and the typed arrays described above.
+   */
+  levelFor: function(depth, timePerPixel) {
+    var levels = this.depths[depth];
+    if (!levels) {
+      return null;
+    }
+    var i = 0;
+    while (i + 1 < levels.length && levels[i + 1].threshold <= timePerPixel) {
+      i++;
+    }
+    return levels[i];
+  },
+
+  /**
+   * Returns the index of a frame in level 0 of its depth, or -1 if it is
+   * not in the summary.
+   *
+   * @param {object} frame
+   * @return {integer}
+   */
+  indexOf: function(frame) {
+    var levels = this.depths[frame.depth];
+    if (!levels) {
+      return -1;
+    }
+    var base = levels[0];
+    for (var i = this.firstBlockAt(base, frame.startTime); i < base.length; ++i) {
+      if (base.reps[i] === frame.uid) {
+        return i;
+      }
+      if (base.startTimes[i] > frame.startTime) {
+        break;
+      }
+    }
+    return -1;
+  },
+
+  /**
+   * Counts the frames passing a test, so that blockCount can tell how
+   * many of them a block holds without visiting its frames.
+   *
+   * @param {function} test
+   *        Called with each frame.
+   * @return {array}
+   *         For each depth, the number of frames passing the test among
+   *         the first i frames of level 0, for every i.
+   */
+  countFrames: function(test) {
+    var frames = this.trace.frames;
+    return this.depths.map(function(levels) {
+      var base = levels[0];
+      var counts = new Int32Array(base.length + 1);
+      for (var i = 0; i < base.length; ++i) {
+        counts[i + 1] = counts[i] + (test(frames[base.reps[i]]) ? 1 : 0);
+      }
+      return counts;
+    });
+  },
+
+  /**
+   * Returns how many frames of a block passed the test of countFrames.
+   *
+   * @param {array} counts
+   *        The result of countFrames.
+   * @param {integer} depth
+   * @param {object} level
+   * @param {integer} i
+   *        The index of the block in the level.
+   * @return {integer}
+   */
+  blockCount: function(counts, depth, level, i) {
+    var first = level.firsts[i];
+    return counts[depth][first + level.counts[i]] - counts[depth][first];
+  },
+
+  /**
+   * Returns the index of the first block of a level ending at or after
+   * the given time.
+   */
+  firstBlockAt: function(level, time) {
+    var endTimes = level.endTimes;
+    var first = 0;
+    var last = level.length;
+    while (first < last) {
+      var mid = (first + last) >> 1;
+      if (endTimes[mid] < time) {
+        first = mid + 1;
+      } else {
+        last = mid;
+      }
+    }
+    return first;
+  },
+
+  _baseLevel: function(frames) {
+    var level = this._allocateLevel(frames.length);
+    for (var i = 0; i < frames.length; ++i) {
+      var frame = frames[i];
+      level.startTimes[i] = frame.startTime;
+      level.endTimes[i] = frame.endTime;
+      level.reps[i] = frame.uid;
+      level.weights[i] = frame.endTime - frame.startTime;
+      level.counts[i] = 1;
+      level.firsts[i] = i;
+    }
+    return level;
+  },
+
+  _mergeLevel: function(previous, threshold) {
+    var frames = this.trace.frames;
+    var level = this._allocateLevel(previous.length);
+    var startTimes = previous.startTimes;
+    var endTimes = previous.endTimes;
+    var n = previous.length;
+    var count = 0;
+
+    for (var i = 0; i < n; ++i) {
+      var startTime = startTimes[i];
+      var endTime = endTimes[i];
+      var rep = previous.reps[i];
+      var weight = previous.weights[i];
+      var merged = previous.counts[i];
+      var first = previous.firsts[i];
+
+      if (endTime - startTime < threshold) {
+        while (i + 1 < n &&
+               endTimes[i + 1] - startTimes[i + 1] < threshold &&
+               startTimes[i + 1] - endTime < threshold) {
+          i++;
+          endTime = endTimes[i];
+          merged += previous.counts[i];
+          if (frames[previous.reps[i]].fid === frames[rep].fid) {
+            weight += previous.weights[i];
+          } else if (previous.weights[i] > weight) {
+            rep = previous.reps[i];
+            weight = previous.weights[i];
+          }
+        }
+      }
+
+      level.startTimes[count] = startTime;
+      level.endTimes[count] = endTime;
+      level.reps[count] = rep;
+      level.weights[count] = weight;
+      level.counts[count] = merged;
+      level.firsts[count] = first;
+      count++;
+    }
+
+    return this._truncateLevel(level, count, threshold);
+  },
+
+  _allocateLevel: function(length) {
+    return {
+      threshold: 0,
+      length: length,
+      startTimes: new Float64Array(length),
+      endTimes: new Float64Array(length),
+      reps: new Int32Array(length),
+      weights: new Float64Array(length),
+      counts: new Int32Array(length),
+      firsts: new Int32Array(length)
+    };
+  },
+
+  _truncateLevel: function(level, length, threshold) {
+    return {
+      threshold: threshold,
+      length: length,
+      startTimes: level.startTimes.slice(0, length),
+      endTimes: level.endTimes.slice(0, length),
+      reps: level.reps.slice(0, length),
+      weights: level.weights.slice(0, length),
+      counts: level.counts.slice(0, length),
+      firsts: level.firsts.slice(0, length)
+    };
+  }
+};
@@ -0,0 +1,135 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Bar of tabs, each showing its own panel while it is selected. The "+"
+ * button at the end of the bar deselects every tab and shows the landing
+ * panel instead.
+ *
+ * Tabs are objects with a title and a panel element, and any other
+ * properties their owner gives them. Emits "selected" with the selected
+ * tab, or null when the landing panel is shown, and "closed" with a tab
+ * after its panel was removed.
+ *
+ * @param {Element} element
+ *        The element to render the bar into.
+ * @param {Element} landing
+ *        The panel shown while no tab is selected. Tab panels are
+ *        inserted before it.
+ */
+function TraceTabs(element, landing) {
+  this.element = element;
+  this.document = element.ownerDocument;
+  this._landing = landing;
+
+  this.tabs = [];
+  this.selected = null;
+
+  EventEmitter.decorate(this);
+  this._buildDOM();
+}
+
+TraceTabs.prototype = {
+  /**
+   * Adds a tab after the others, and selects it.
+   *
+   * @param {object} tab
+   *        The tab, with its title and panel.
+   */
+  add: function(tab) {
+    this.tabs.push(tab);
+    this._landing.parentNode.insertBefore(tab.panel, this._landing);
+    this.select(tab);
+  },
+
+  /**
+   * Shows the panel of a tab, or the landing panel.
+   *
+   * @param {object} tab
+   *        The tab, or null.
+   */
+  select: function(tab) {
+    this.selected = tab;
+    for (var i = 0; i < this.tabs.length; ++i) {
+      this.tabs[i].panel.hidden = this.tabs[i] !== tab;
+    }
+    this._landing.hidden = !!tab;
+    this.render();
+    this.emit("selected", tab);
+  },
+
+  /**
+   * Removes a tab. If it was selected, the tab after it is selected, or
+   * else the one before it or the landing panel.
+   *
+   * @param {object} tab
+   */
+  close: function(tab) {
+    var index = this.tabs.indexOf(tab);
+    if (index === -1) {
+      return;
+    }
+    this.tabs.splice(index, 1);
+    tab.panel.parentNode.removeChild(tab.panel);
+    if (tab === this.selected) {
+      this.select(this.tabs[Math.min(index, this.tabs.length - 1)] || null);
+    } else {
+      this.render();
+    }
+    this.emit("closed", tab);
+  },
+
+  render: function() {
+    var list = this._list;
+    while (list.hasChildNodes()) {
+      list.removeChild(list.firstChild);
+    }
+    for (var i = 0; i < this.tabs.length; ++i) {
+      list.appendChild(this._createTab(this.tabs[i]));
+    }
+    this._newButton.className = this.selected ? "trace-tab-new" : "trace-tab-new selected";
+  },
+
+  _createTab: function(tab) {
+    var doc = this.document;
+    var item = doc.createElementNS(XHTML_NS, "span");
+    item.className = tab === this.selected ? "trace-tab selected" : "trace-tab";
+    item.title = tab.title;
+    item.addEventListener("click", function() { this.select(tab); }.bind(this));
+
+    var title = doc.createElementNS(XHTML_NS, "span");
+    title.className = "trace-tab-title";
+    title.textContent = tab.title;
+    item.appendChild(title);
+
+    var close = doc.createElementNS(XHTML_NS, "button");
+    close.className = "trace-tab-close";
+    close.textContent = "×";
+    close.title = "Close";
+    close.addEventListener("click", function(ev) {
+      ev.stopPropagation();
+      this.close(tab);
+    }.bind(this));
+    item.appendChild(close);
+
+    return item;
+  },
+
+  _buildDOM: function() {
+    var doc = this.document;
+
+    this._list = doc.createElementNS(XHTML_NS, "span");
+    this.element.appendChild(this._list);
+
+    this._newButton = doc.createElementNS(XHTML_NS, "button");
+    this._newButton.textContent = "+";
+    this._newButton.title = "Open another trace";
+    this._newButton.addEventListener("click", function() { this.select(null); }.bind(this));
+    this.element.appendChild(this._newButton);
+
+    this.render();
+  }
+};
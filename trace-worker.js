@@ -0,0 +1,103 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Worker parsing traces off the main thread; see parseTraceInWorker.
+ *
+ * Receives one message, {source, options}, where source is a Blob or a
+ * URL. Replies with any number of {type: "progress", phase, loaded,
+ * total} messages, then either {type: "loaded", compacts}, with the
+ * compact representation of each trace parsed (see Trace.toCompact and
+ * parseTraces), or {type: "error", message}.
+ */
+
+importScripts("map.js", "event-emitter.js", "trace.js", "trace-importers.js",
+              "trace-parser.js", "json-stream.js");
+
+var CHUNK_SIZE = 1 << 20;
+
+function progress(phase, loaded, total) {
+  postMessage({ type: "progress", phase: phase, loaded: loaded, total: total });
+}
+
+/**
+ * Reads a Blob in chunks into a JSONStreamParser.
+ */
+function readBlob(blob, parser) {
+  var reader = new FileReaderSync();
+  var decoder = new TextDecoder();
+  for (var offset = 0; offset < blob.size; offset += CHUNK_SIZE) {
+    var buffer = reader.readAsArrayBuffer(blob.slice(offset, offset + CHUNK_SIZE));
+    parser.write(decoder.decode(buffer, { stream: true }));
+    progress("reading", Math.min(offset + CHUNK_SIZE, blob.size), blob.size);
+  }
+  parser.write(decoder.decode());
+}
+
+/**
+ * Reads a URL in chunks, as they arrive, into a JSONStreamParser.
+ */
+function readURL(url, parser) {
+  return fetch(url).then(function(response) {
+    if (!response.ok) {
+      throw new Error("Could not load " + url + ": " + response.status + " " + response.statusText);
+    }
+    var total = +response.headers.get("Content-Length") || 0;
+    var loaded = 0;
+    var reader = response.body.getReader();
+    var decoder = new TextDecoder();
+
+    function read() {
+      return reader.read().then(function(result) {
+        if (result.done) {
+          parser.write(decoder.decode());
+          return;
+        }
+        loaded += result.value.length;
+        parser.write(decoder.decode(result.value, { stream: true }));
+        progress("reading", loaded, total);
+        return read();
+      });
+    }
+    return read();
+  });
+}
+
+onmessage = function(ev) {
+  var source = ev.data.source;
+  var options = ev.data.options;
+  var parser = new JSONStreamParser();
+
+  Promise.resolve().then(function() {
+    return typeof source === "string" ? readURL(source, parser) : readBlob(source, parser);
+  }).then(function() {
+    var data = parser.end();
+    progress("building", 0, 0);
+    var traces = parseTraces(data, options);
+    if (options && options.name) {
+      traces.forEach(function(trace) {
+        // Each thread of a file is named after both.
+        trace.name = traces.length > 1 ? options.name + ": " + trace.name : options.name;
+      });
+    }
+
+    var compacts = traces.map(function(trace) {
+      return trace.toCompact();
+    });
+    var buffers = [];
+    compacts.forEach(function(compact) {
+      buffers.push(compact.fids.buffer, compact.depths.buffer,
+                   compact.startTimes.buffer, compact.endTimes.buffer);
+    });
+    postMessage({ type: "loaded", compacts: compacts }, buffers);
+  }).catch(function(error) {
+    // Errors from the JSON parser only say what was wrong where.
+    var message = error instanceof SyntaxError
+      ? "Malformed trace: " + error.message
+      : error.message;
+    postMessage({ type: "error", message: message });
+  });
+};
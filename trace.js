@@ -20,6 +20,13 @@ function Trace(client, name) {
 
   this.maxDepth = 0;
 
+  // Whether functions remapped by source maps are aggregated by their
+  // original location, see locationToString.
+  this.groupByOriginal = false;
+
+  this.markers = [];  // Named times, sorted by time
+  this.comments = Object.create(null); // frame UID -> comment
+
   // Used only while collecting trace data
   this._stack = [this]; // Frames on current call stack
   this._functionIds = {}; // name:location -> function ID
@@ -45,8 +52,10 @@ Trace.prototype = {
    * Removes event listeners.
    */
   finish: function() {
-    this._client.removeListener("enteredFrame", this.onEnteredFrame);
-    this._client.removeListener("exitedFrame", this.onExitedFrame);
+    if (this._client) {
+      this._client.removeListener("enteredFrame", this.onEnteredFrame);
+      this._client.removeListener("exitedFrame", this.onExitedFrame);
+    }
     this._stack = null;
     this._functionIds = null;
     this.finished = true;
@@ -66,9 +75,266 @@ Trace.prototype = {
       var child = this.children[key];
       jsonObj.children.push(this._frameToJSONObj(child));
     }
+    if (this.markers.length) {
+      jsonObj.markers = this.markers;
+    }
+    if (Object.keys(this.comments).length) {
+      jsonObj.comments = this.comments;
+    }
     return JSON.stringify(jsonObj);
   },
 
+  /**
+   * Adds a named marker at a time, such as when the user clicked or when
+   * jank started.
+   *
+   * @param {number} time
+   * @param {string} name
+   * @return {object}
+   *         The marker, with its time and name.
+   */
+  addMarker: function(time, name) {
+    var marker = { time: time, name: name };
+    var index = 0;
+    while (index < this.markers.length && this.markers[index].time <= time) {
+      index++;
+    }
+    this.markers.splice(index, 0, marker);
+    this.emit("annotationschanged");
+    return marker;
+  },
+
+  /**
+   * @param {object} marker
+   *        A marker returned by addMarker.
+   */
+  removeMarker: function(marker) {
+    var index = this.markers.indexOf(marker);
+    if (index !== -1) {
+      this.markers.splice(index, 1);
+      this.emit("annotationschanged");
+    }
+  },
+
+  /**
+   * Attaches a comment to a frame, replacing any it had.
+   *
+   * @param {integer} uid
+   *        The UID of the frame.
+   * @param {string} comment
+   *        The comment, or "" to remove it.
+   */
+  setComment: function(uid, comment) {
+    if (comment) {
+      this.comments[uid] = comment;
+    } else {
+      delete this.comments[uid];
+    }
+    this.emit("annotationschanged");
+  },
+
+  /**
+   * Returns this trace in the Chrome Trace Event Format, loadable in
+   * chrome://tracing or Perfetto. Frames become begin ("B") and end ("E")
+   * events, written in call order so that frames taking no time keep
+   * their nesting; times are converted to microseconds.
+   *
+   * @return {string}
+   */
+  toChromeTrace: function() {
+    var events = [{
+      ph: "M",
+      name: "thread_name",
+      pid: 1,
+      tid: 1,
+      args: { name: this.name || "Trace" }
+    }];
+
+    var open = [];
+    var closeTo = function(depth) {
+      while (open.length > depth) {
+        var frame = open.pop();
+        events.push({ ph: "E", pid: 1, tid: 1, ts: this._frameEndTime(frame) * 1000 });
+      }
+    }.bind(this);
+
+    for (var i = 0; i < this.frames.length; ++i) {
+      var frame = this.frames[i];
+      closeTo(frame.depth);
+
+      var event = {
+        ph: "B",
+        name: frame.name,
+        cat: "function",
+        pid: 1,
+        tid: 1,
+        ts: frame.startTime * 1000
+      };
+      if (frame.location) {
+        event.args = {
+          data: {
+            url: frame.location.url,
+            lineNumber: frame.location.line,
+            columnNumber: frame.location.column
+          }
+        };
+      }
+      events.push(event);
+      open.push(frame);
+    }
+    closeTo(0);
+
+    return JSON.stringify({ traceEvents: events, displayTimeUnit: "ms" });
+  },
+
+  /**
+   * Returns this trace as a speedscope evented profile.
+   * See https://www.speedscope.app/file-format-schema.json
+   *
+   * @return {string}
+   */
+  toSpeedscope: function() {
+    var frames = this.functions.map(function(aggregated) {
+      var frame = { name: aggregated.name || "(anonymous)" };
+      if (aggregated.location) {
+        frame.file = aggregated.location.url;
+        frame.line = aggregated.location.line;
+        frame.col = aggregated.location.column;
+      }
+      return frame;
+    });
+
+    var events = [];
+    var open = [];
+    var closeTo = function(depth) {
+      while (open.length > depth) {
+        var frame = open.pop();
+        events.push({ type: "C", frame: frame.fid, at: this._frameEndTime(frame) });
+      }
+    }.bind(this);
+
+    for (var i = 0; i < this.frames.length; ++i) {
+      var frame = this.frames[i];
+      closeTo(frame.depth);
+      events.push({ type: "O", frame: frame.fid, at: frame.startTime });
+      open.push(frame);
+    }
+    closeTo(0);
+
+    return JSON.stringify({
+      $schema: "https://www.speedscope.app/file-format-schema.json",
+      name: this.name || "Trace",
+      exporter: "moz-trace-graph",
+      shared: { frames: frames },
+      profiles: [{
+        type: "evented",
+        name: this.name || "Trace",
+        unit: "milliseconds",
+        startValue: this.startTime || 0,
+        endValue: this.endTime || 0,
+        events: events
+      }]
+    });
+  },
+
+  /**
+   * Returns this trace as collapsed stacks for flamegraph.pl: one line
+   * per distinct call stack, with function names separated by ";" and
+   * followed by the self time spent in that stack, in milliseconds.
+   *
+   * @return {string}
+   */
+  toFoldedStacks: function() {
+    var stacks = [];
+    var selfTimes = Object.create(null);
+    var order = [];
+
+    for (var i = 0; i < this.frames.length; ++i) {
+      var frame = this.frames[i];
+      var name = (frame.name || "(anonymous)").replace(/[;\r\n]/g, "_");
+      var stack = frame.older && frame.older !== this
+        ? stacks[frame.older.uid] + ";" + name
+        : name;
+      stacks[frame.uid] = stack;
+
+      var selfTime = typeof frame.selfTime === "number"
+        ? frame.selfTime
+        : this._frameEndTime(frame) - frame.startTime;
+      if (!(stack in selfTimes)) {
+        selfTimes[stack] = 0;
+        order.push(stack);
+      }
+      selfTimes[stack] += selfTime;
+    }
+
+    return order.filter(function(stack) {
+      return selfTimes[stack] > 0;
+    }).map(function(stack) {
+      return stack + " " + Math.round(selfTimes[stack] * 1000) / 1000;
+    }).join("\n") + "\n";
+  },
+
+  /**
+   * Returns the frames of this finished trace as typed arrays, in the
+   * order they were entered, so that they can be transferred between
+   * threads without copying. traceFromCompact rebuilds the Trace.
+   *
+   * @return {object}
+   *         name, functions (with name, location and parameterNames),
+   *         fids, depths, startTimes, endTimes, and details: per-frame
+   *         callsite, arguments and exit values, or null where a frame
+   *         has none. Also the markers and comments.
+   */
+  toCompact: function() {
+    var count = this.frames.length;
+    var compact = {
+      name: this.name,
+      functions: this.functions.map(function(aggregated) {
+        return {
+          name: aggregated.name,
+          location: aggregated.location,
+          parameterNames: aggregated.parameterNames
+        };
+      }),
+      fids: new Int32Array(count),
+      depths: new Int32Array(count),
+      startTimes: new Float64Array(count),
+      endTimes: new Float64Array(count),
+      details: new Array(count),
+      markers: this.markers,
+      comments: this.comments
+    };
+
+    var detailKeys = ["callsite", "arguments", "return", "throw", "yield"];
+    for (var i = 0; i < count; ++i) {
+      var frame = this.frames[i];
+      compact.fids[i] = frame.fid;
+      compact.depths[i] = frame.depth;
+      compact.startTimes[i] = frame.startTime;
+      compact.endTimes[i] = this._frameEndTime(frame);
+
+      var details = null;
+      for (var j = 0; j < detailKeys.length; ++j) {
+        var key = detailKeys[j];
+        if (typeof frame[key] !== "undefined") {
+          details = details || {};
+          details[key] = frame[key];
+        }
+      }
+      compact.details[i] = details;
+    }
+
+    return compact;
+  },
+
+  /**
+   * Returns the end time of a frame, or the end of the trace for frames
+   * which have not exited yet.
+   */
+  _frameEndTime: function(frame) {
+    return typeof frame.endTime === "number" ? frame.endTime : this.endTime;
+  },
+
   /**
    * Returns an object representation of a frame without cyclic
    * references or redundant information, for use by JSON.stringify.
@@ -83,6 +349,7 @@ Trace.prototype = {
       "fid",
       "startTime",
       "endTime",
+      "callsite",
       "arguments",
       "return",
       "throw",
@@ -149,8 +416,8 @@ Trace.prototype = {
     }
 
     // Add reference to aggregated info, creating it if necessary
-    var key = locationToString(packet.location, packet.name);
-    if (!this._functionIds[key]) {
+    var key = locationToString(packet.location, packet.name, this.groupByOriginal);
+    if (this._functionIds[key] === undefined) {
       this._functionIds[key] = this.functions.length;
       this.functions.push({
         count: 0,
@@ -212,9 +479,13 @@ Trace.prototype = {
       if (typeof frame.aggregated.totalTime === "undefined") {
         frame.aggregated.totalTime = 0;
         frame.aggregated.selfTime = 0;
+        frame.aggregated.maxTime = 0;
       }
       frame.aggregated.totalTime += frame.totalTime;
       frame.aggregated.selfTime += frame.selfTime;
+      if (frame.totalTime > frame.aggregated.maxTime) {
+        frame.aggregated.maxTime = frame.totalTime;
+      }
 
       if (!this.endTime || frame.endTime > this.endTime) {
         this.endTime = frame.endTime;
@@ -245,7 +516,14 @@ Trace.prototype = {
  *        location. Workaround to deal with the fact that anonymous
  *        inner functions report the same location as the outer
  *        function.
+ * @param {boolean} original
+ *        Whether to leave out the generated location of locations
+ *        remapped by a source map, so that functions compiled to several
+ *        places in the generated code are one function.
  */
-function locationToString(loc, name) {
+function locationToString(loc, name, original) {
+  if (original && loc && loc.generated) {
+    loc = { url: loc.url, line: loc.line, column: loc.column };
+  }
   return (name || "") + JSON.stringify(loc);
 }
@@ -0,0 +1,109 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Values recorded in traces: the arguments, return, throw and yield
+ * values of frames. Primitives are recorded as they are, other values as
+ * debugger grips: {type} for undefined, NaN and the like, {type:
+ * "longString", initial, length}, and objects as {type: "object", class},
+ * with a preview of their contents when one was taken.
+ */
+
+// The most items or properties summarizeValue lists for an object.
+var SUMMARY_ITEMS = 5;
+
+/**
+ * Returns a one-line description of a recorded value, with the contents
+ * of objects previewed.
+ *
+ * @param {*} value
+ * @return {string}
+ */
+function summarizeValue(value) {
+  return summarize(value, true);
+}
+
+function summarize(value, expand) {
+  if (!value || typeof value !== "object") {
+    return typeof value === "string" ? JSON.stringify(value) : String(value);
+  }
+  switch (value.type) {
+    case "object":
+      break;
+    case "longString":
+      return JSON.stringify(value.initial) + "…";
+    case "BigInt":
+      return value.text + "n";
+    case "symbol":
+      return value.name;
+    default:
+      return String(value.type);
+  }
+
+  var className = value.class || "Object";
+  var preview = value.preview;
+  if (className === "Function") {
+    return "function " + (value.name || "") + "()";
+  }
+  if (!expand || !preview) {
+    return className;
+  }
+  switch (preview.kind) {
+    case "Error":
+      return preview.message ? preview.name + ": " + preview.message : preview.name;
+    case "ArrayLike":
+      var items = (preview.items || []).slice(0, SUMMARY_ITEMS).map(function(item) {
+        return summarize(item, false);
+      });
+      if (preview.length > items.length) {
+        items.push("…");
+      }
+      return className + "(" + preview.length + ") [" + items.join(", ") + "]";
+    case "Object":
+      var properties = valueProperties(value).slice(0, SUMMARY_ITEMS).map(function(property) {
+        return property.name + ": " + (property.getter ? "(getter)" : summarize(property.value, false));
+      });
+      if (preview.ownPropertiesLength > properties.length) {
+        properties.push("…");
+      }
+      return className + " {" + properties.join(", ") + "}";
+  }
+  return className;
+}
+
+/**
+ * Returns the previewed contents of an object, or an empty array for
+ * other values.
+ *
+ * @param {*} value
+ * @return {array}
+ *         [{ name, value }], or { name, getter: true } for accessors,
+ *         whose values are not recorded.
+ */
+function valueProperties(value) {
+  var preview = value && value.type === "object" && value.preview;
+  if (!preview) {
+    return [];
+  }
+  switch (preview.kind) {
+    case "Error":
+      return [{ name: "name", value: preview.name },
+              { name: "message", value: preview.message }];
+    case "ArrayLike":
+      return (preview.items || []).map(function(item, i) {
+        return { name: String(i), value: item };
+      });
+    case "Object":
+      var ownProperties = preview.ownProperties || {};
+      return Object.keys(ownProperties).map(function(key) {
+        var descriptor = ownProperties[key];
+        return "value" in descriptor
+          ? { name: key, value: descriptor.value }
+          : { name: key, getter: true };
+      });
+  }
+  return [];
+}
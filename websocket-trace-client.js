@@ -0,0 +1,79 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Trace client receiving packets over a WebSocket, for use as the
+ * client of a Trace. See "Live trace protocol" in README.md.
+ *
+ * Emits "enteredFrame" and "exitedFrame" with the packets, and
+ * "traceStarted" and "traceStopped" when the server reports them.
+ * Also emits "open", "close" and "error" for the connection itself.
+ *
+ * @param {string} url
+ *        The WebSocket URL to connect to.
+ */
+function WebSocketTraceClient(url) {
+  this.url = url;
+  EventEmitter.decorate(this);
+
+  this.addListener = this.on;
+  this.removeListener = this.off;
+
+  this._onMessage = this._onMessage.bind(this);
+}
+
+WebSocketTraceClient.prototype = {
+  packetTypes: ["traceStarted", "enteredFrame", "exitedFrame", "traceStopped"],
+
+  get connected() {
+    return !!this._socket && this._socket.readyState === WebSocket.OPEN;
+  },
+
+  connect: function() {
+    var socket = new WebSocket(this.url);
+    this._socket = socket;
+
+    socket.addEventListener("open", function() {
+      this.emit("open");
+    }.bind(this));
+    socket.addEventListener("message", this._onMessage);
+    socket.addEventListener("error", function() {
+      this.emit("error", new Error("Could not connect to " + this.url));
+    }.bind(this));
+    socket.addEventListener("close", function() {
+      this._socket = null;
+      this.emit("close");
+    }.bind(this));
+  },
+
+  close: function() {
+    if (this._socket) {
+      this._socket.close();
+    }
+  },
+
+  _onMessage: function(ev) {
+    var packets;
+    try {
+      packets = JSON.parse(ev.data);
+    } catch (ex) {
+      this.emit("error", new Error("Invalid packet: " + ex.message));
+      return;
+    }
+    if (!Array.isArray(packets)) {
+      packets = [packets];
+    }
+
+    for (var i = 0; i < packets.length; ++i) {
+      var packet = packets[i];
+      if (this.packetTypes.indexOf(packet.type) === -1) {
+        this.emit("error", new Error("Unknown packet type: " + packet.type));
+        continue;
+      }
+      this.emit(packet.type, packet);
+    }
+  }
+};